@@ -4,28 +4,145 @@
  * Flow:
  * 1) Claim queued job from /api/admin/encoding-jobs/claim
  * 2) Download source_url to temp folder
- * 3) Transcode to multi-bitrate HLS
- * 4) Upload HLS output to Backblaze B2
+ * 3) Transcode to multi-bitrate HLS (bitrates optionally fitted per title
+ *    from a quick CRF probe of the source), plus poster, timeline thumbnail
+ *    sprites and optional loudness-normalized audio downloads
+ * 4) Upload HLS output to Backblaze B2 under a new hls/{id}/v{n}-{attempt} prefix,
+ *    master.m3u8 last so the version only becomes playable once complete
  * 5) Mark job complete (or failed) via API
+ *
+ * While a job runs, a heartbeat renews its lease via
+ * /api/admin/encoding-jobs/:id/heartbeat. If the lease is lost the job is
+ * aborted: child processes are killed and completion is never reported.
+ * A cancel seen on a heartbeat or progress response (or, with
+ * ENCODER_STATUS_POLL_INTERVAL_MS, a poll of the job) aborts the same way,
+ * then removes the job's partial uploads and acknowledges via /cancelled.
+ * On SIGTERM/SIGINT the worker drains; jobs still running after the grace
+ * period are aborted and handed back to the queue via /release.
+ * Completion and failure reports go through an on-disk outbox under
+ * ENCODER_TEMP_DIR and are replayed if the API was unreachable.
+ * Once a completion is accepted, older versions of the same content item
+ * are scheduled for deletion after ENCODER_PUBLISH_CLEANUP_DELAY_HOURS.
+ * With ENCODER_METRICS_PORT set, an embedded HTTP server exposes /healthz,
+ * /readyz and Prometheus /metrics.
+ * `node encode-worker.js gc [--dry-run]` instead removes objects under hls/
+ * that no live content item or version references.
+ * ENCODER_LOG_FORMAT=json switches to one JSON object per line; ffmpeg and
+ * Python output is captured and re-logged tagged with its job and source.
  */
 
-const { execSync, spawn } = require("child_process")
+const { spawn } = require("child_process")
+const crypto = require("crypto")
 const fs = require("fs")
+const http = require("http")
 const os = require("os")
 const path = require("path")
+const readline = require("readline")
 const { Readable } = require("stream")
 const { pipeline } = require("stream/promises")
-const { S3Client, PutObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3")
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadBucketCommand,
+    HeadObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+} = require("@aws-sdk/client-s3")
 require("dotenv").config()
 
 const DEFAULT_QUALITIES = [
-    { name: "360p", width: 640, height: 360, bitrate: "500k", maxrate: "650k", bufsize: "1000k", audioBitrate: "96k" },
-    { name: "540p", width: 960, height: 540, bitrate: "1000k", maxrate: "1300k", bufsize: "2000k", audioBitrate: "96k" },
-    { name: "720p", width: 1280, height: 720, bitrate: "1800k", maxrate: "2400k", bufsize: "3600k", audioBitrate: "96k" },
+    { name: "360p", width: 640, height: 360, codec: "h264", encoder: "libx264", bitrate: "500k", maxrate: "650k", bufsize: "1000k", audioBitrate: "96k" },
+    { name: "540p", width: 960, height: 540, codec: "h264", encoder: "libx264", bitrate: "1000k", maxrate: "1300k", bufsize: "2000k", audioBitrate: "96k" },
+    { name: "720p", width: 1280, height: 720, codec: "h264", encoder: "libx264", bitrate: "1800k", maxrate: "2400k", bufsize: "3600k", audioBitrate: "96k" },
 ]
+// Accepted `codec` values in ENCODER_QUALITIES_JSON, mapped to codec family and ffmpeg encoder.
+const VIDEO_CODEC_ALIASES = {
+    h264: { codec: "h264", encoder: "libx264" },
+    avc: { codec: "h264", encoder: "libx264" },
+    libx264: { codec: "h264", encoder: "libx264" },
+    hevc: { codec: "hevc", encoder: "libx265" },
+    h265: { codec: "hevc", encoder: "libx265" },
+    libx265: { codec: "hevc", encoder: "libx265" },
+    av1: { codec: "av1", encoder: "libsvtav1" },
+    libsvtav1: { codec: "av1", encoder: "libsvtav1" },
+    "libaom-av1": { codec: "av1", encoder: "libaom-av1" },
+    libaom: { codec: "av1", encoder: "libaom-av1" },
+}
+// Same-height rungs are listed H.264 first so players that ignore CODECS still start on a playable variant.
+const VIDEO_CODEC_ORDER = ["h264", "hevc", "av1"]
+// Per-rung `rateControl` values: "abr" (target bitrate), "crf" (quality target capped by maxrate/bufsize), "2pass".
+const RATE_CONTROL_ALIASES = {
+    abr: "abr",
+    vbr: "abr",
+    crf: "crf",
+    "capped-crf": "crf",
+    "2pass": "2pass",
+    "two-pass": "2pass",
+    twopass: "2pass",
+}
+// Used when a "crf" rung sets no `crf`; each encoder has its own scale.
+const DEFAULT_CRF_BY_ENCODER = {
+    libx264: 23,
+    libx265: 28,
+    libsvtav1: 35,
+    "libaom-av1": 32,
+}
+const X264_TUNES = new Set(["film", "animation", "grain", "stillimage", "fastdecode", "zerolatency", "psnr", "ssim"])
+// Bitrate needed for the same quality relative to H.264, used when fitting a per-title ladder.
+const PER_TITLE_CODEC_EFFICIENCY = {
+    h264: 1,
+    hevc: 0.7,
+    av1: 0.6,
+}
 const MAX_SUBTITLE_TRACKS = 10
 const AUTO_SUBTITLE_LANG_TOKEN = "auto"
 const SUBTITLE_ONLY_QUALITY_TOKEN = "__subtitle_only__"
+const UPLOAD_CHECKPOINT_FILE = "upload-checkpoint.jsonl"
+const SOURCE_COMPLETE_MARKER = "source-complete.json"
+const TRANSCODE_COMPLETE_MARKER = "transcode-complete.json"
+const CONTENT_ANALYSIS_FILE = "content-analysis.json"
+// Content keys live in the job work dir, never under the uploaded HLS output dir.
+const HLS_KEYS_FILE = "hls-keys.json"
+// Fallback rendition for muxed ladders; not "audio", which downloads and DASH read as the shared track.
+const AUDIO_ONLY_RENDITION = "audio-only"
+// Worker-owned dirs under ENCODER_TEMP_DIR start with "_" so they never collide with job work dirs.
+const OUTBOX_DIR_NAME = "_outbox"
+const PUBLISH_CLEANUP_DIR_NAME = "_publish-cleanup"
+const GC_LIVE_OUTPUT_BATCH_SIZE = 100
+// Records the version a job publishes under, so a retry uploads into the same prefix.
+const PUBLISH_VERSION_FILE = "publish-version.json"
+const HDR_COLOR_TRANSFERS = new Set(["smpte2084", "arib-std-b67"])
+const SOURCE_ERROR_CODES = {
+    probeFailed: "SOURCE_PROBE_FAILED",
+    noVideoStream: "SOURCE_NO_VIDEO_STREAM",
+    zeroDuration: "SOURCE_ZERO_DURATION",
+    undecodable: "SOURCE_UNDECODABLE",
+}
+const JOB_ABORT_LEASE_LOST = "lease_lost"
+const JOB_ABORT_CANCELLED = "cancelled"
+const JOB_ABORT_SHUTDOWN = "shutdown"
+const JOB_STAGES = {
+    download: "download",
+    probe: "probe",
+    analysis: "analysis",
+    transcode: "transcode",
+    thumbnails: "thumbnails",
+    audioExport: "audio_export",
+    downloadRendition: "download_rendition",
+    subtitle: "subtitle",
+    upload: "upload",
+    api: "api",
+}
+// Written last by generateVisualAssets(), so its presence means the poster and sprites are complete.
+const THUMBNAILS_VTT_FILE = "thumbs.vtt"
+const THUMBNAIL_SPRITE_DIR = "sprites"
+// ffmpeg muxer per audio export format; "ipod" writes an .m4a that iTunes-style players accept.
+const AUDIO_EXPORT_MUXERS = {
+    m4a: "ipod",
+    mp3: "mp3",
+}
+const CANCELLED_JOB_STATUSES = new Set(["cancelled", "canceled", "cancel_requested", "cancelling"])
 
 function normalizeOptionalString(value) {
     if (typeof value !== "string") {
@@ -358,6 +475,46 @@ function parsePositiveInt(value, fallbackValue) {
     return parsed
 }
 
+function parseAudioExportFormats(value) {
+    const candidates = Array.isArray(value)
+        ? value
+        : String(value || "").split(",")
+    const formats = []
+    for (const candidate of candidates) {
+        const normalized = String(candidate || "").trim().toLowerCase()
+        if (AUDIO_EXPORT_MUXERS[normalized] && !formats.includes(normalized)) {
+            formats.push(normalized)
+        }
+    }
+    return formats
+}
+
+function parseQualityNameList(value) {
+    const candidates = Array.isArray(value)
+        ? value
+        : String(value || "").split(",")
+    const names = []
+    for (const candidate of candidates) {
+        const normalized = normalizeQualityName(candidate)
+        if (normalized && !names.includes(normalized)) names.push(normalized)
+    }
+    return names
+}
+
+function parseEncryptionMode(value) {
+    const normalized = normalizeOptionalString(value)?.toLowerCase()
+    if (!normalized || normalized === "none" || normalized === "off") return "none"
+    if (normalized === "aes-128" || normalized === "aes128") return "aes-128"
+    // ffmpeg's HLS muxer cannot write SAMPLE-AES, and doing it by hand means rewriting NAL units.
+    throw new Error(`Unsupported ENCODER_HLS_ENCRYPTION "${value}" (supported: none, aes-128)`)
+}
+
+function parsePosterFormat(value) {
+    const normalized = normalizeOptionalString(value)?.toLowerCase()
+    if (normalized === "webp") return "webp"
+    return "jpg"
+}
+
 function parseHlsSegmentType(value) {
     const normalized = normalizeOptionalString(value)?.toLowerCase()
     if (normalized === "mpegts" || normalized === "ts") return "mpegts"
@@ -391,23 +548,62 @@ function sanitizeQuality(rawQuality, index) {
     const name = String(quality.name || `q${index + 1}`).trim()
     const width = parsePositiveInt(quality.width, 0)
     const height = parsePositiveInt(quality.height, 0)
-    const bitrate = String(quality.bitrate || "").trim()
+    const rateControl = RATE_CONTROL_ALIASES[String(quality.rateControl || "abr").trim().toLowerCase()]
+    const maxrate = normalizeOptionalString(quality.maxrate)
+    // A CRF rung is sized by its cap, so bitrate (the nominal rate for reports and per-title) defaults to maxrate.
+    const bitrate = String(quality.bitrate || (rateControl === "crf" ? maxrate || "" : "")).trim()
     if (!name || width <= 0 || height <= 0 || !bitrate) return null
+    const codec = VIDEO_CODEC_ALIASES[String(quality.codec || "h264").trim().toLowerCase()]
+    if (!codec) {
+        log(`Ignoring quality "${name}": unsupported codec "${quality.codec}"`, "warn")
+        return null
+    }
+    if (!rateControl) {
+        log(`Ignoring quality "${name}": unsupported rateControl "${quality.rateControl}"`, "warn")
+        return null
+    }
+    if (rateControl === "2pass" && codec.encoder === "libsvtav1") {
+        log(`Ignoring quality "${name}": two-pass is not supported with libsvtav1`, "warn")
+        return null
+    }
+    let crf = null
+    if (rateControl === "crf") {
+        const parsedCrf = Number(quality.crf ?? DEFAULT_CRF_BY_ENCODER[codec.encoder])
+        if (!Number.isFinite(parsedCrf) || parsedCrf < 0 || parsedCrf > 63) {
+            log(`Ignoring quality "${name}": invalid crf "${quality.crf}"`, "warn")
+            return null
+        }
+        crf = parsedCrf
+    }
+    let tune = normalizeOptionalString(quality.tune)?.toLowerCase() || null
+    if (tune && (codec.encoder !== "libx264" || !X264_TUNES.has(tune))) {
+        log(`Quality "${name}": ignoring tune "${tune}", only x264 tunes are supported`, "warn")
+        tune = null
+    }
     return {
         name,
         width,
         height,
+        codec: codec.codec,
+        encoder: codec.encoder,
+        rateControl,
+        crf,
+        tune,
         bitrate,
-        maxrate: String(quality.maxrate || bitrate),
-        bufsize: String(quality.bufsize || quality.maxrate || bitrate),
+        maxrate: String(maxrate || bitrate),
+        bufsize: String(quality.bufsize || maxrate || bitrate),
         audioBitrate: String(quality.audioBitrate || "96k"),
+        // Per-title bounds; unset falls back to the CONFIG.perTitle defaults.
+        minBitrate: normalizeOptionalString(quality.minBitrate),
+        maxBitrate: normalizeOptionalString(quality.maxBitrate),
     }
 }
 
 function sortQualitiesAscending(qualities) {
     return [...qualities].sort((a, b) => {
         if (a.height !== b.height) return a.height - b.height
-        return a.width - b.width
+        if (a.width !== b.width) return a.width - b.width
+        return VIDEO_CODEC_ORDER.indexOf(a.codec || "h264") - VIDEO_CODEC_ORDER.indexOf(b.codec || "h264")
     })
 }
 
@@ -439,22 +635,120 @@ function parseB2RegionFromEndpoint(endpoint) {
     return "us-west-004"
 }
 
+function parseLogFormat(value) {
+    return String(value || "").trim().toLowerCase() === "json" ? "json" : "text"
+}
+
+// Resolved ahead of CONFIG because log() runs while CONFIG itself is being parsed.
+const LOG_FORMAT = parseLogFormat(process.env.ENCODER_LOG_FORMAT)
+const WORKER_ID = process.env.ENCODER_WORKER_ID || `encoder-${process.pid}`
+
 const CONFIG = {
     adminApiBaseUrl: process.env.ADMIN_API_BASE_URL || process.env.CLOUDFLARE_API_URL || "https://ruwaq-jawi-api.ruwaqjawi.workers.dev",
     adminApiKey: process.env.ADMIN_API_KEY || process.env.CLOUDFLARE_ADMIN_API_KEY,
     allowDevNoKey:
         (process.env.ALLOW_DEV_ADMIN_NO_KEY || process.env.ADMIN_ALLOW_NO_KEY || "").toLowerCase() === "true",
-    workerId: process.env.ENCODER_WORKER_ID || `encoder-${process.pid}`,
+    workerId: WORKER_ID,
+    logFormat: LOG_FORMAT,
     pollIntervalMs: parsePositiveInt(process.env.ENCODER_POLL_INTERVAL_MS, 10000),
+    heartbeatIntervalMs: parsePositiveInt(process.env.ENCODER_HEARTBEAT_INTERVAL_MS, 30000),
+    // 0 relies on heartbeat/progress responses alone; N also polls GET /api/admin/encoding-jobs/:id every N ms.
+    statusPollIntervalMs: parsePositiveInt(process.env.ENCODER_STATUS_POLL_INTERVAL_MS, 0),
+    apiTimeoutMs: parsePositiveInt(process.env.ENCODER_API_TIMEOUT_MS, 15000),
+    apiMaxAttempts: parsePositiveInt(process.env.ENCODER_API_MAX_ATTEMPTS, 6),
+    apiRetryBaseDelayMs: parsePositiveInt(process.env.ENCODER_API_RETRY_BASE_DELAY_MS, 500),
+    apiRetryMaxDelayMs: parsePositiveInt(process.env.ENCODER_API_RETRY_MAX_DELAY_MS, 15000),
+    outboxReplayIntervalMs: parsePositiveInt(process.env.ENCODER_OUTBOX_REPLAY_INTERVAL_MS, 30000),
+    childKillGraceMs: parsePositiveInt(process.env.ENCODER_CHILD_KILL_GRACE_MS, 5000),
+    stderrTailLines: parsePositiveInt(process.env.ENCODER_STDERR_TAIL_LINES, 30),
+    shutdownGraceMs: parsePositiveInt(process.env.ENCODER_SHUTDOWN_GRACE_MS, 20000),
+    maxConcurrentJobs: parsePositiveInt(process.env.ENCODER_MAX_CONCURRENT_JOBS, 1),
+    maxCpuHeavyStages: parsePositiveInt(process.env.ENCODER_MAX_CPU_HEAVY_STAGES, 1),
+    // 0 lets ffmpeg pick; with concurrent jobs the budget defaults to an equal share of the cores.
+    ffmpegThreads: parsePositiveInt(process.env.ENCODER_FFMPEG_THREADS, 0),
+    progressReportIntervalMs: parsePositiveInt(process.env.ENCODER_PROGRESS_REPORT_INTERVAL_MS, 5000),
+    // 0 disables the embedded /healthz, /readyz and /metrics server.
+    metricsPort: parsePositiveInt(process.env.ENCODER_METRICS_PORT, 0),
+    metricsHost: normalizeOptionalString(process.env.ENCODER_METRICS_HOST) || "0.0.0.0",
+    readinessCacheMs: parsePositiveInt(process.env.ENCODER_READINESS_CACHE_MS, 30000),
+    // /healthz fails once the claim loop has not ticked for this long.
+    livenessStaleMs: parsePositiveInt(process.env.ENCODER_LIVENESS_STALE_MS, 300000),
     tempDir: process.env.ENCODER_TEMP_DIR || path.join(os.tmpdir(), "ruwaq-encoder"),
     cdnBaseUrl: (process.env.CDN_BASE_URL || "https://videos.mujam.store").replace(/\/+$/, ""),
     segmentDurationSeconds: parsePositiveInt(process.env.ENCODER_SEGMENT_DURATION_SECONDS, 2),
     hlsSegmentType: parseHlsSegmentType(process.env.ENCODER_HLS_SEGMENT_TYPE),
     hlsSharedAudioTrack: parseEnvBoolean(process.env.ENCODER_HLS_SHARED_AUDIO_TRACK, true),
     hlsSharedAudioBitrate: normalizeOptionalString(process.env.ENCODER_HLS_SHARED_AUDIO_BITRATE) || "96k",
+    encryption: {
+        // Default for jobs without content_metadata.encoding.encryption; "aes-128" encrypts every segment.
+        mode: parseEncryptionMode(process.env.ENCODER_HLS_ENCRYPTION),
+        // Placeholders: {content_item_id}, {job_id}, {key_id}. The key server authorizes the viewer.
+        keyUriTemplate: normalizeOptionalString(process.env.ENCODER_HLS_KEY_URI_TEMPLATE),
+        // 0 keeps one key for the whole title; N switches to a fresh key every N segments.
+        rotationSegments: parsePositiveInt(process.env.ENCODER_HLS_KEY_ROTATION_SEGMENTS, 0),
+    },
+    perTitle: {
+        // Probe-encodes a few samples at a fixed CRF and refits ladder bitrates to the content.
+        // Jobs override via content_metadata.encoding.per_title.
+        enabled: parseEnvBoolean(process.env.ENCODER_PER_TITLE_ENABLED, false),
+        sampleCount: parsePositiveInt(process.env.ENCODER_PER_TITLE_SAMPLE_COUNT, 4),
+        sampleSeconds: parsePositiveInt(process.env.ENCODER_PER_TITLE_SAMPLE_SECONDS, 6),
+        probeCrf: parsePositiveInt(process.env.ENCODER_PER_TITLE_PROBE_CRF, 23),
+        probeHeight: parsePositiveInt(process.env.ENCODER_PER_TITLE_PROBE_HEIGHT, 720),
+        // Bounds for rungs without their own minBitrate/maxBitrate; the cap is a percentage of the configured bitrate.
+        minBitrate: normalizeOptionalString(process.env.ENCODER_PER_TITLE_MIN_BITRATE) || "150k",
+        maxBitratePercent: parsePositiveInt(process.env.ENCODER_PER_TITLE_MAX_BITRATE_PERCENT, 150),
+        // A rung that is not at least this much cheaper (percent) than the kept rung above it is dropped.
+        minStepPercent: parsePositiveInt(process.env.ENCODER_PER_TITLE_MIN_STEP_PERCENT, 140),
+    },
+    // Writes manifest.mpd over the same fMP4 segments (no second encode); needs fMP4 and the shared audio track.
+    dashEnabled: parseEnvBoolean(process.env.ENCODER_DASH_ENABLED, false),
+    // Adds an audio-only variant to master.m3u8 for very poor connections: the shared audio rendition,
+    // or an extra audio-only rendition when ENCODER_HLS_SHARED_AUDIO_TRACK=false muxes audio into each rung.
+    hlsAudioOnlyVariant: parseEnvBoolean(process.env.ENCODER_HLS_AUDIO_ONLY_VARIANT, true),
+    audioExport: {
+        // Empty disables the export; jobs can override via content_metadata.encoding.audio_export.
+        formats: parseAudioExportFormats(process.env.ENCODER_AUDIO_EXPORT_FORMATS),
+        aacBitrate: normalizeOptionalString(process.env.ENCODER_AUDIO_EXPORT_AAC_BITRATE) || "96k",
+        mp3Bitrate: normalizeOptionalString(process.env.ENCODER_AUDIO_EXPORT_MP3_BITRATE) || "128k",
+        channels: parsePositiveInt(process.env.ENCODER_AUDIO_EXPORT_CHANNELS, 2),
+        loudnessFilter: normalizeOptionalString(process.env.ENCODER_AUDIO_EXPORT_LOUDNESS_FILTER)
+            || "loudnorm=I=-16:TP=-1.5:LRA=11",
+    },
+    downloads: {
+        // Ladder rung names remuxed to progressive MP4; empty disables. Per job: content_metadata.encoding.download_qualities.
+        qualities: parseQualityNameList(process.env.ENCODER_DOWNLOAD_QUALITIES),
+        muxSubtitles: parseEnvBoolean(process.env.ENCODER_DOWNLOAD_MUX_SUBTITLES, true),
+    },
+    thumbnails: {
+        enabled: parseEnvBoolean(process.env.ENCODER_THUMBNAILS_ENABLED, true),
+        intervalSeconds: parsePositiveInt(process.env.ENCODER_THUMBNAIL_INTERVAL_SECONDS, 10),
+        width: parsePositiveInt(process.env.ENCODER_THUMBNAIL_WIDTH, 160),
+        columns: parsePositiveInt(process.env.ENCODER_THUMBNAIL_SPRITE_COLUMNS, 10),
+        rows: parsePositiveInt(process.env.ENCODER_THUMBNAIL_SPRITE_ROWS, 10),
+        posterFormat: parsePosterFormat(process.env.ENCODER_POSTER_FORMAT),
+        posterWidth: parsePositiveInt(process.env.ENCODER_POSTER_WIDTH, 1280),
+        // Mean luma (0-255) outside this band marks a frame as black/blown out and not poster material.
+        posterMinLuma: parsePositiveInt(process.env.ENCODER_POSTER_MIN_LUMA, 40),
+        posterMaxLuma: parsePositiveInt(process.env.ENCODER_POSTER_MAX_LUMA, 220),
+    },
     uploadConcurrency: parsePositiveInt(process.env.ENCODER_UPLOAD_CONCURRENCY, 4),
     uploadMaxAttempts: parsePositiveInt(process.env.ENCODER_UPLOAD_MAX_ATTEMPTS, 4),
     uploadRetryDelayMs: parsePositiveInt(process.env.ENCODER_UPLOAD_RETRY_DELAY_MS, 750),
+    downloadPartSizeBytes: parsePositiveInt(process.env.ENCODER_DOWNLOAD_PART_SIZE_MB, 64) * 1024 * 1024,
+    downloadConcurrency: parsePositiveInt(process.env.ENCODER_DOWNLOAD_CONCURRENCY, 4),
+    downloadMaxAttempts: parsePositiveInt(process.env.ENCODER_DOWNLOAD_MAX_ATTEMPTS, 5),
+    downloadRetryDelayMs: parsePositiveInt(process.env.ENCODER_DOWNLOAD_RETRY_DELAY_MS, 1000),
+    // Abort a request that delivers no bytes for this long; it is then resumed from the last byte written.
+    downloadStallTimeoutMs: parsePositiveInt(process.env.ENCODER_DOWNLOAD_STALL_TIMEOUT_MS, 60000),
+    // Superseded hls/{id}/v{n} versions (and legacy unversioned output) are deleted this long after a newer version goes live.
+    publishCleanupEnabled: parseEnvBoolean(process.env.ENCODER_PUBLISH_CLEANUP_ENABLED, true),
+    publishCleanupDelayHours: parsePositiveInt(process.env.ENCODER_PUBLISH_CLEANUP_DELAY_HOURS, 24),
+    publishCleanupSweepIntervalMs: parsePositiveInt(process.env.ENCODER_PUBLISH_CLEANUP_SWEEP_INTERVAL_MS, 600000),
+    // `gc` never touches objects younger than this, so uploads of running jobs are safe.
+    gcMinAgeHours: parsePositiveInt(process.env.ENCODER_GC_MIN_AGE_HOURS, 72),
+    // Failed jobs keep their work dir (source, HLS output, upload checkpoint) so a retry can resume.
+    failedWorkDirTtlHours: parsePositiveInt(process.env.ENCODER_FAILED_WORKDIR_TTL_HOURS, 24),
     playlistCacheControl:
         normalizeOptionalString(process.env.ENCODER_PLAYLIST_CACHE_CONTROL)
         || "public, max-age=120, s-maxage=300, stale-while-revalidate=600",
@@ -462,6 +756,8 @@ const CONFIG = {
         normalizeOptionalString(process.env.ENCODER_SEGMENT_CACHE_CONTROL)
         || "public, max-age=31536000, immutable",
     ffmpegPreset: process.env.ENCODER_FFMPEG_PRESET || "veryfast",
+    // libsvtav1 takes a numeric preset (0 slowest .. 13 fastest); libaom-av1 uses it as cpu-used (capped at 8).
+    av1Preset: parsePositiveInt(process.env.ENCODER_AV1_PRESET, 8),
     qualities: sortQualitiesAscending(parseQualities()),
     subtitles: {
         mode: parseSubtitleMode(process.env.SUBTITLE_MODE),
@@ -470,6 +766,7 @@ const CONFIG = {
         device: normalizeOptionalString(process.env.SUBTITLE_DEVICE) || "cpu",
         computeType: normalizeOptionalString(process.env.SUBTITLE_COMPUTE_TYPE) || "int8",
         beamSize: parsePositiveInt(process.env.SUBTITLE_BEAM_SIZE, 5),
+        cpuThreads: parsePositiveInt(process.env.SUBTITLE_CPU_THREADS, 0),
         progressEverySegments: parsePositiveInt(process.env.SUBTITLE_PROGRESS_EVERY_SEGMENTS, 20),
         pythonBin: normalizeOptionalString(process.env.SUBTITLE_PYTHON_BIN) || "python3",
         scriptPath: path.resolve(
@@ -500,6 +797,10 @@ if (!CONFIG.b2.endpoint || !CONFIG.b2.keyId || !CONFIG.b2.applicationKey) {
     throw new Error("Missing B2_ENDPOINT/B2_KEY_ID/B2_APPLICATION_KEY")
 }
 
+if (CONFIG.encryption.mode !== "none" && !CONFIG.encryption.keyUriTemplate) {
+    throw new Error("ENCODER_HLS_ENCRYPTION requires ENCODER_HLS_KEY_URI_TEMPLATE")
+}
+
 if (
     (CONFIG.subtitles.mode === "auto" || CONFIG.subtitles.mode === "hybrid")
     && !fs.existsSync(CONFIG.subtitles.scriptPath)
@@ -519,17 +820,189 @@ const s3Client = new S3Client({
 })
 
 let shouldStop = false
+let wakeIdleSleep = null
+let shutdownTimer = null
+const activeJobRuntimes = new Map()
+const cpuStageSlots = createSlotPool(CONFIG.maxCpuHeavyStages)
+const outboxFilesInFlight = new Set()
+let outboxReplayRunning = false
+let publishCleanupRunning = false
+// What the claim loop is doing right now, exported on /metrics and used by /healthz.
+const queuePoll = {
+    state: "starting",
+    lastTickAt: Date.now(),
+    lastClaimAttemptAt: 0,
+}
 
-function log(message, level = "info") {
+/**
+ * Writes one log line. In json mode every line is a single object carrying
+ * worker_id plus whatever correlation fields the caller passes in context
+ * (job_id, content_item_id, stage, source, duration_ms, ...).
+ */
+function log(message, level = "info", context = {}) {
     const ts = new Date().toISOString()
+    if (LOG_FORMAT === "json") {
+        const entry = { ts, level, worker_id: WORKER_ID }
+        for (const [key, value] of Object.entries(context || {})) {
+            if (value !== undefined && value !== null) entry[key] = value
+        }
+        entry.msg = String(message)
+        console.log(JSON.stringify(entry))
+        return
+    }
     const prefix = level.toUpperCase().padEnd(5)
-    console.log(`[${ts}] [${prefix}] ${message}`)
+    const jobTag = context.job_id ? ` [job ${context.job_id}]` : ""
+    const sourceTag = context.source ? ` [${context.source}]` : ""
+    console.log(`[${ts}] [${prefix}]${jobTag}${sourceTag} ${message}`)
+}
+
+function formatMetricLabels(labels) {
+    const entries = Object.entries(labels || {})
+    if (entries.length === 0) return ""
+    const rendered = entries.map(([key, value]) => {
+        const escaped = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")
+        return `${key}="${escaped}"`
+    })
+    return `{${rendered.join(",")}}`
+}
+
+/**
+ * Minimal Prometheus text-format registry. Series are keyed by their label
+ * set; gauges may pass a collect() callback that is evaluated per scrape.
+ */
+function createMetricsRegistry() {
+    const families = []
+
+    const register = (name, help, type, extra = {}) => {
+        const family = { name, help, type, series: new Map(), ...extra }
+        families.push(family)
+        return family
+    }
+    const seriesFor = (family, labels, init) => {
+        const key = formatMetricLabels(labels)
+        if (!family.series.has(key)) family.series.set(key, { labels: labels || {}, ...init() })
+        return family.series.get(key)
+    }
+
+    return {
+        counter(name, help) {
+            const family = register(name, help, "counter")
+            return {
+                inc(labels = {}, value = 1) {
+                    seriesFor(family, labels, () => ({ value: 0 })).value += value
+                },
+            }
+        },
+        gauge(name, help, collect) {
+            const family = register(name, help, "gauge", { collect })
+            return {
+                set(labels, value) {
+                    seriesFor(family, labels, () => ({ value: 0 })).value = value
+                },
+            }
+        },
+        histogram(name, help, buckets) {
+            const family = register(name, help, "histogram", { buckets: [...buckets].sort((a, b) => a - b) })
+            return {
+                observe(labels, value) {
+                    const series = seriesFor(family, labels, () => ({
+                        counts: family.buckets.map(() => 0),
+                        sum: 0,
+                        count: 0,
+                    }))
+                    family.buckets.forEach((bound, index) => {
+                        if (value <= bound) series.counts[index] += 1
+                    })
+                    series.sum += value
+                    series.count += 1
+                },
+            }
+        },
+        render() {
+            const lines = []
+            for (const family of families) {
+                lines.push(`# HELP ${family.name} ${family.help}`)
+                lines.push(`# TYPE ${family.name} ${family.type}`)
+                if (family.collect) {
+                    for (const { labels, value } of family.collect()) {
+                        lines.push(`${family.name}${formatMetricLabels(labels)} ${value}`)
+                    }
+                    continue
+                }
+                for (const series of family.series.values()) {
+                    if (family.type !== "histogram") {
+                        lines.push(`${family.name}${formatMetricLabels(series.labels)} ${series.value}`)
+                        continue
+                    }
+                    family.buckets.forEach((bound, index) => {
+                        const labels = formatMetricLabels({ ...series.labels, le: bound })
+                        lines.push(`${family.name}_bucket${labels} ${series.counts[index]}`)
+                    })
+                    lines.push(`${family.name}_bucket${formatMetricLabels({ ...series.labels, le: "+Inf" })} ${series.count}`)
+                    lines.push(`${family.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`)
+                    lines.push(`${family.name}_count${formatMetricLabels(series.labels)} ${series.count}`)
+                }
+            }
+            return `${lines.join("\n")}\n`
+        },
+    }
+}
+
+const metricsRegistry = createMetricsRegistry()
+const metrics = {
+    jobsClaimed: metricsRegistry.counter("encoder_jobs_claimed_total", "Jobs claimed from the queue."),
+    jobsCompleted: metricsRegistry.counter("encoder_jobs_completed_total", "Jobs that finished successfully."),
+    jobsFailed: metricsRegistry.counter(
+        "encoder_jobs_failed_total",
+        "Jobs reported as failed, by stage, error code and retryability.",
+    ),
+    jobsAborted: metricsRegistry.counter(
+        "encoder_jobs_aborted_total",
+        "Jobs aborted by cancel, lost lease or shutdown.",
+    ),
+    stageDuration: metricsRegistry.histogram(
+        "encoder_stage_duration_seconds",
+        "Wall-clock time spent per pipeline stage.",
+        [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200],
+    ),
+    transcodeSpeed: metricsRegistry.histogram(
+        "encoder_transcode_speed_ratio",
+        "Seconds of source encoded per wall-clock second.",
+        [0.25, 0.5, 1, 1.5, 2, 3, 5, 10, 20],
+    ),
+    bytesUploaded: metricsRegistry.counter("encoder_uploaded_bytes_total", "Bytes written to the output bucket."),
+    uploadRetries: metricsRegistry.counter("encoder_upload_retries_total", "Retried object uploads."),
+    queuePolls: metricsRegistry.counter("encoder_queue_polls_total", "Claim attempts, by result."),
 }
+metricsRegistry.gauge("encoder_active_jobs", "Jobs currently running on this worker.", () => [
+    { labels: {}, value: activeJobRuntimes.size },
+])
+metricsRegistry.gauge("encoder_queue_poll_state", "Current claim loop state (1 for the active state).", () => (
+    ["starting", "claiming", "idle", "saturated", "backoff", "stopping"].map((state) => ({
+        labels: { state },
+        value: queuePoll.state === state ? 1 : 0,
+    }))
+))
+metricsRegistry.gauge("encoder_last_claim_attempt_timestamp_seconds", "Unix time of the last claim attempt.", () => [
+    { labels: {}, value: Math.floor(queuePoll.lastClaimAttemptAt / 1000) },
+])
 
 function sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms))
 }
 
+function sleepUntilWoken(ms) {
+    return new Promise((resolve) => {
+        const wake = () => {
+            clearTimeout(timer)
+            wakeIdleSleep = null
+            resolve()
+        }
+        const timer = setTimeout(wake, ms)
+        wakeIdleSleep = wake
+    })
+}
+
 function ensureDir(dirPath) {
     if (!fs.existsSync(dirPath)) {
         fs.mkdirSync(dirPath, { recursive: true })
@@ -542,246 +1015,1854 @@ function cleanDir(dirPath) {
     }
 }
 
-async function apiRequest(method, endpoint, body) {
+function readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) return null
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"))
+    } catch {
+        return null
+    }
+}
+
+function writeJsonFile(filePath, value) {
+    fs.writeFileSync(filePath, JSON.stringify(value, null, 2))
+}
+
+function hashFile(filePath, algorithm = "md5") {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm)
+        fs.createReadStream(filePath)
+            .on("error", reject)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")))
+    })
+}
+
+/**
+ * Removes work dirs left behind by failed jobs once they are older than
+ * CONFIG.failedWorkDirTtlHours. Dirs of jobs running in this process are kept.
+ */
+function pruneStaleWorkDirs() {
+    if (!fs.existsSync(CONFIG.tempDir)) return
+    const cutoff = Date.now() - CONFIG.failedWorkDirTtlHours * 60 * 60 * 1000
+    for (const entry of fs.readdirSync(CONFIG.tempDir, { withFileTypes: true })) {
+        if (!entry.isDirectory() || entry.name.startsWith("_") || activeJobRuntimes.has(entry.name)) continue
+        const dirPath = path.join(CONFIG.tempDir, entry.name)
+        try {
+            if (fs.statSync(dirPath).mtimeMs < cutoff) {
+                cleanDir(dirPath)
+                log(`Removed stale work dir ${dirPath}`)
+            }
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error)
+            log(`Failed to prune work dir ${dirPath}: ${message}`, "warn")
+        }
+    }
+}
+
+function parseRetryAfterMs(value) {
+    const raw = normalizeOptionalString(value)
+    if (!raw) return null
+    const seconds = Number(raw)
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000
+    const date = Date.parse(raw)
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null
+}
+
+function computeApiRetryDelayMs(attempt, retryAfterMs) {
+    if (retryAfterMs !== null) return Math.min(CONFIG.apiRetryMaxDelayMs, retryAfterMs)
+    // Full jitter keeps a fleet of workers from retrying in lockstep after an API outage.
+    const ceiling = Math.min(CONFIG.apiRetryMaxDelayMs, CONFIG.apiRetryBaseDelayMs * Math.pow(2, attempt - 1))
+    return Math.round(Math.random() * ceiling)
+}
+
+/**
+ * Calls the admin API with a per-attempt timeout. Network errors, timeouts
+ * and 408/425/429/5xx responses are retried with jittered backoff up to
+ * maxAttempts; an idempotencyKey is sent unchanged on every attempt so the
+ * server can return the original result for a retried write.
+ */
+async function apiRequest(method, endpoint, body, {
+    timeoutMs = CONFIG.apiTimeoutMs,
+    maxAttempts = 1,
+    idempotencyKey = null,
+} = {}) {
     const headers = {
         "Content-Type": "application/json",
     }
     if (CONFIG.adminApiKey) {
         headers["X-API-Key"] = CONFIG.adminApiKey
     }
+    if (idempotencyKey) {
+        headers["Idempotency-Key"] = idempotencyKey
+    }
 
-    const response = await fetch(`${CONFIG.adminApiBaseUrl}${endpoint}`, {
-        method,
-        headers,
-        body: body === undefined ? undefined : JSON.stringify(body),
-    })
-    const text = await response.text()
-    let payload = {}
-    if (text) {
+    for (let attempt = 1; ; attempt += 1) {
+        let response
+        let text
         try {
-            payload = JSON.parse(text)
-        } catch {
-            payload = {}
+            response = await fetch(`${CONFIG.adminApiBaseUrl}${endpoint}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(timeoutMs),
+            })
+            text = await response.text()
+        } catch (requestError) {
+            const reason = requestError?.name === "TimeoutError"
+                ? `timed out after ${timeoutMs}ms`
+                : requestError instanceof Error ? requestError.message : String(requestError)
+            const error = new Error(`API ${method} ${endpoint} failed: ${reason}`, { cause: requestError })
+            if (attempt >= maxAttempts) throw error
+            const waitMs = computeApiRetryDelayMs(attempt, null)
+            log(`${error.message}. Retry ${attempt}/${maxAttempts - 1} in ${waitMs}ms`, "warn")
+            await sleep(waitMs)
+            continue
         }
-    }
-    if (!response.ok) {
+
+        let payload = {}
+        if (text) {
+            try {
+                payload = JSON.parse(text)
+            } catch {
+                payload = {}
+            }
+        }
+        if (response.ok) {
+            return payload
+        }
+
         const message = payload.error || payload.message || `HTTP ${response.status}`
-        throw new Error(`API ${method} ${endpoint} failed: ${message}`)
+        const error = new Error(`API ${method} ${endpoint} failed: ${message}`)
+        error.status = response.status
+        error.payload = payload
+        if (attempt >= maxAttempts || !isRetryableHttpStatus(response.status)) {
+            throw error
+        }
+        const waitMs = computeApiRetryDelayMs(attempt, parseRetryAfterMs(response.headers.get("retry-after")))
+        log(`${error.message}. Retry ${attempt}/${maxAttempts - 1} in ${waitMs}ms`, "warn")
+        await sleep(waitMs)
     }
-    return payload
 }
 
 async function claimJob() {
+    // A claim whose response is lost is recovered through lease expiry, so only a few quick retries.
     const payload = await apiRequest("POST", "/api/admin/encoding-jobs/claim", {
         worker_id: CONFIG.workerId,
+    }, {
+        maxAttempts: 3,
+        idempotencyKey: `claim:${CONFIG.workerId}:${crypto.randomUUID()}`,
     })
     return payload.data || null
 }
 
-async function markJobFailed(jobId, errorMessage) {
-    await apiRequest("POST", `/api/admin/encoding-jobs/${jobId}/fail`, {
-        error_message: errorMessage,
-    })
+function getOutboxDir() {
+    return path.join(CONFIG.tempDir, OUTBOX_DIR_NAME)
 }
 
-async function markJobComplete(jobId, result) {
-    await apiRequest("POST", `/api/admin/encoding-jobs/${jobId}/complete`, result)
+function isPermanentApiError(error) {
+    const status = Number(error?.status || 0)
+    return status > 0 && !isRetryableHttpStatus(status)
 }
 
-async function markJobProgress(jobId, progress) {
+function writeOutboxEntry(entry) {
+    const outboxDir = getOutboxDir()
+    ensureDir(outboxDir)
+    const fileName = `${String(Date.now()).padStart(15, "0")}-${sanitizeFileToken(entry.job_id, "job")}-${entry.kind}.json`
+    const filePath = path.join(outboxDir, fileName)
+    // Write-then-rename so a crash never leaves a truncated entry for the replayer.
+    writeJsonFile(`${filePath}.tmp`, entry)
+    fs.renameSync(`${filePath}.tmp`, filePath)
+    return filePath
+}
+
+function moveOutboxEntryToDeadLetter(filePath, error) {
+    const deadDir = path.join(getOutboxDir(), "dead")
+    ensureDir(deadDir)
+    const message = error instanceof Error ? error.message : String(error)
+    log(`Outbox entry ${path.basename(filePath)} rejected permanently, moved to dead-letter: ${message}`, "error")
+    fs.renameSync(filePath, path.join(deadDir, path.basename(filePath)))
+}
+
+async function sendOutboxEntry(entry, maxAttempts) {
+    await apiRequest("POST", entry.endpoint, entry.body, {
+        maxAttempts,
+        idempotencyKey: entry.idempotency_key,
+    })
+}
+
+/**
+ * Persists a completion/failure report to the on-disk outbox before sending
+ * it. Returns true once the API accepted it; on a transient failure the
+ * entry stays in the outbox for replayOutbox() and false is returned. A
+ * permanent rejection is dead-lettered and rethrown.
+ */
+async function deliverJobReport(runtime, kind, body) {
+    const entry = {
+        kind,
+        job_id: runtime.job.id,
+        endpoint: `/api/admin/encoding-jobs/${runtime.job.id}/${kind}`,
+        body: {
+            ...body,
+            worker_id: CONFIG.workerId,
+            attempt_id: runtime.attemptId,
+        },
+        idempotency_key: `${runtime.job.id}:${runtime.attemptId}:${kind}`,
+        created_at: new Date().toISOString(),
+    }
+    const filePath = writeOutboxEntry(entry)
+    outboxFilesInFlight.add(filePath)
     try {
-        await apiRequest("POST", `/api/admin/encoding-jobs/${jobId}/progress`, progress)
+        await sendOutboxEntry(entry, CONFIG.apiMaxAttempts)
+        fs.rmSync(filePath, { force: true })
+        return true
     } catch (error) {
+        if (isPermanentApiError(error)) {
+            moveOutboxEntryToDeadLetter(filePath, error)
+            throw error
+        }
         const message = error instanceof Error ? error.message : String(error)
-        log(`Progress update failed for job ${jobId}: ${message}`, "warn")
+        log(`Report "${kind}" for job ${runtime.job.id} kept in outbox for replay: ${message}`, "warn", runtime.logContext)
+        return false
+    } finally {
+        outboxFilesInFlight.delete(filePath)
     }
 }
 
-async function downloadFile(url, destinationPath) {
-    const response = await fetch(url)
-    if (!response.ok || !response.body) {
-        throw new Error(`Download failed (${response.status}) for ${url}`)
+/**
+ * Delivers outbox entries oldest first, including ones written before a
+ * restart. Stops at the first transient failure since the API is likely
+ * still unreachable; the next interval tries again. Entries are never aged
+ * out here: each carries its attempt_id and idempotency key, and the server
+ * rejects a report from a superseded attempt with a 4xx, which is
+ * dead-lettered like any other permanent rejection.
+ */
+async function replayOutbox() {
+    const outboxDir = getOutboxDir()
+    if (outboxReplayRunning || !fs.existsSync(outboxDir)) return
+    outboxReplayRunning = true
+    try {
+        const fileNames = fs.readdirSync(outboxDir)
+            .filter((name) => name.endsWith(".json"))
+            .sort()
+        for (const fileName of fileNames) {
+            const filePath = path.join(outboxDir, fileName)
+            if (outboxFilesInFlight.has(filePath)) continue
+            const entry = readJsonFile(filePath)
+            if (!entry || typeof entry.endpoint !== "string") {
+                moveOutboxEntryToDeadLetter(filePath, new Error("unreadable outbox entry"))
+                continue
+            }
+            try {
+                await sendOutboxEntry(entry, 1)
+                fs.rmSync(filePath, { force: true })
+                log(`Replayed outbox report "${entry.kind}" for job ${entry.job_id}`)
+                if (entry.kind === "complete") {
+                    metrics.jobsCompleted.inc()
+                }
+                if (entry.kind === "complete" && entry.body?.publish_version) {
+                    schedulePublishCleanup(entry.body?.master_url)
+                }
+            } catch (error) {
+                if (isPermanentApiError(error)) {
+                    moveOutboxEntryToDeadLetter(filePath, error)
+                    continue
+                }
+                const message = error instanceof Error ? error.message : String(error)
+                log(`Outbox replay paused, API still unavailable: ${message}`, "warn")
+                return
+            }
+        }
+    } finally {
+        outboxReplayRunning = false
     }
-    ensureDir(path.dirname(destinationPath))
-    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(destinationPath))
 }
 
-async function downloadFromRawBucket(storagePath, destinationPath) {
-    const result = await s3Client.send(
-        new GetObjectCommand({
-            Bucket: CONFIG.b2.rawBucketName,
-            Key: storagePath,
-        }),
-    )
-    if (!result.Body) {
-        throw new Error(`Raw bucket download returned empty body for ${storagePath}`)
+function startOutboxReplayer() {
+    const replay = () => {
+        replayOutbox().catch((error) => {
+            const message = error instanceof Error ? error.message : String(error)
+            log(`Outbox replay failed: ${message}`, "warn")
+        })
     }
+    replay()
+    const timer = setInterval(replay, CONFIG.outboxReplayIntervalMs)
+    return () => clearInterval(timer)
+}
 
-    ensureDir(path.dirname(destinationPath))
-    if (typeof result.Body.pipe === "function") {
-        await pipeline(result.Body, fs.createWriteStream(destinationPath))
-        return
-    }
-    if (typeof result.Body.transformToWebStream === "function") {
-        await pipeline(Readable.fromWeb(result.Body.transformToWebStream()), fs.createWriteStream(destinationPath))
-        return
-    }
-    if (typeof result.Body.transformToByteArray === "function") {
-        const bytes = await result.Body.transformToByteArray()
-        fs.writeFileSync(destinationPath, Buffer.from(bytes))
-        return
-    }
-    throw new Error("Unsupported S3 response body type")
+async function markJobFailed(runtime, jobError) {
+    return deliverJobReport(runtime, "fail", {
+        error_message: jobError.message,
+        error_code: jobError.code,
+        error_stage: jobError.stage,
+        retryable: jobError.retryable,
+        stderr_tail: jobError.stderrTail,
+    })
 }
 
-async function downloadSourceForJob(job, destinationPath) {
-    const sourceUrl = job.source_url
-    if (sourceUrl) {
-        try {
-            await downloadFile(sourceUrl, destinationPath)
-            return
-        } catch (error) {
-            log(`Direct source URL download failed for job ${job.id}: ${error.message}`, "warn")
-        }
-    }
-    if (job.source_storage_path) {
-        await downloadFromRawBucket(job.source_storage_path, destinationPath)
-        return
-    }
-    throw new Error("No downloadable source available (source_url and source_storage_path missing)")
+async function markJobComplete(runtime, result) {
+    return deliverJobReport(runtime, "complete", result)
 }
 
-function getVideoDuration(inputPath) {
-    try {
-        const result = execSync(
-            `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputPath}"`,
-            { encoding: "utf8" },
-        )
-        return Math.max(0, Math.round(parseFloat(result.trim())))
-    } catch {
-        return null
-    }
+async function markJobCancelled(runtime, details) {
+    await apiRequest("POST", `/api/admin/encoding-jobs/${runtime.job.id}/cancelled`, {
+        worker_id: CONFIG.workerId,
+        attempt_id: runtime.attemptId,
+        ...details,
+    }, {
+        maxAttempts: CONFIG.apiMaxAttempts,
+        idempotencyKey: `${runtime.job.id}:${runtime.attemptId}:cancelled`,
+    })
 }
 
-function getVideoInfo(inputPath) {
-    try {
-        const result = execSync(
-            `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=s=x:p=0 "${inputPath}"`,
-            { encoding: "utf8" },
-        )
-        const [width, height] = result.trim().split("x").map(Number)
-        return { width, height }
-    } catch {
-        return { width: null, height: null }
-    }
+async function releaseJob(runtime, reason) {
+    // Shutdown is on a deadline, so release gets fewer attempts than completion.
+    await apiRequest("POST", `/api/admin/encoding-jobs/${runtime.job.id}/release`, {
+        worker_id: CONFIG.workerId,
+        attempt_id: runtime.attemptId,
+        reason,
+    }, {
+        maxAttempts: 3,
+        idempotencyKey: `${runtime.job.id}:${runtime.attemptId}:release`,
+    })
+}
+
+async function registerContentKeys(runtime, keys) {
+    await apiRequest("POST", `/api/admin/encoding-jobs/${runtime.job.id}/keys`, {
+        worker_id: CONFIG.workerId,
+        attempt_id: runtime.attemptId,
+        content_item_id: runtime.job.content_item_id,
+        method: "AES-128",
+        keys: keys.map((key) => ({
+            key_id: key.keyId,
+            key_hex: key.keyHex,
+            uri: key.uri,
+        })),
+    }, {
+        maxAttempts: CONFIG.apiMaxAttempts,
+        idempotencyKey: `${runtime.job.id}:${runtime.attemptId}:keys`,
+    })
 }
 
-function getVideoFps(inputPath) {
+async function markJobProgress(jobId, progress) {
     try {
-        const result = execSync(
-            `ffprobe -v error -select_streams v:0 -show_entries stream=avg_frame_rate -of default=noprint_wrappers=1:nokey=1 "${inputPath}"`,
-            { encoding: "utf8" },
-        )
-        const raw = result.trim()
-        if (!raw) return 30
-        if (raw.includes("/")) {
-            const [numStr, denStr] = raw.split("/")
-            const num = Number(numStr)
-            const den = Number(denStr)
-            if (Number.isFinite(num) && Number.isFinite(den) && den > 0) {
-                const fps = num / den
-                if (Number.isFinite(fps) && fps > 0) return fps
-            }
+        const payload = await apiRequest("POST", `/api/admin/encoding-jobs/${jobId}/progress`, progress, {
+            timeoutMs: Math.min(CONFIG.apiTimeoutMs, 10000),
+            maxAttempts: 2,
+        })
+        const runtime = activeJobRuntimes.get(jobId)
+        if (runtime && payload.data && typeof payload.data === "object") {
+            applyJobControlResponse(runtime, payload.data)
         }
-        const parsed = Number(raw)
-        return Number.isFinite(parsed) && parsed > 0 ? parsed : 30
-    } catch {
-        return 30
+    } catch (error) {
+        const message = error instanceof Error ? error.message : String(error)
+        log(`Progress update failed for job ${jobId}: ${message}`, "warn", activeJobRuntimes.get(jobId)?.logContext)
     }
 }
 
-function hasAudioStream(inputPath) {
-    try {
-        const result = execSync(
-            `ffprobe -v error -select_streams a:0 -show_entries stream=index -of csv=p=0 "${inputPath}"`,
-            { encoding: "utf8" },
-        )
-        return result.trim().length > 0
-    } catch {
-        return false
+async function sendJobHeartbeat(jobId) {
+    // No retries: the next interval is the retry, and a late beat must not overlap the next one.
+    const payload = await apiRequest("POST", `/api/admin/encoding-jobs/${jobId}/heartbeat`, {
+        worker_id: CONFIG.workerId,
+    }, {
+        timeoutMs: Math.min(CONFIG.apiTimeoutMs, CONFIG.heartbeatIntervalMs),
+    })
+    return payload.data && typeof payload.data === "object" ? payload.data : {}
+}
+
+function createJobAbortError(reason, message) {
+    const error = new Error(message)
+    error.name = "JobAbortedError"
+    error.abortReason = reason
+    return error
+}
+
+function isJobAbortedError(error) {
+    return error instanceof Error && error.name === "JobAbortedError"
+}
+
+/**
+ * Typed job failure reported through the fail API. `retryable` tells the
+ * queue whether a requeue with backoff can help (flaky network, killed
+ * worker) or the job should be left alone (bad source, ffmpeg rejecting it).
+ */
+function createJobError({ code, stage, message, retryable = false, cause = null, stderrTail = null }) {
+    const error = new Error(message, cause ? { cause } : undefined)
+    error.name = "JobError"
+    error.code = code
+    error.stage = stage
+    error.retryable = retryable
+    error.stderrTail = stderrTail
+    return error
+}
+
+function isJobError(error) {
+    return error instanceof Error && error.name === "JobError"
+}
+
+function collectErrorChain(error) {
+    const chain = []
+    let current = error
+    while (current && typeof current === "object" && chain.length < 8 && !chain.includes(current)) {
+        chain.push(current)
+        current = current.cause
     }
+    return chain
 }
 
-function selectQualitiesForJob(job, sourceVideoInfo) {
-    const configuredQualities = CONFIG.qualities
-    if (configuredQualities.length === 0) {
-        throw new Error("No encoder qualities configured")
+// Host-side failures (memory, file handles, I/O) that another attempt or worker can get past.
+const TRANSIENT_WORKER_ERROR_CODES = new Set(["ENOMEM", "EMFILE", "ENFILE", "EAGAIN", "EIO"])
+const TRANSIENT_WORKER_STDERR_PATTERN = /cannot allocate memory|out of memory|too many open files|resource temporarily unavailable|input\/output error/i
+
+function isRetryableHttpStatus(status) {
+    return !status || status === 408 || status === 425 || status === 429 || status >= 500
+}
+
+function classifyJobFailure(stage, chain, status) {
+    switch (stage) {
+        case JOB_STAGES.download:
+            if (status === 404 || status === 410) return { code: "SOURCE_NOT_FOUND", retryable: false }
+            if (status === 401 || status === 403) return { code: "SOURCE_ACCESS_DENIED", retryable: false }
+            return { code: "DOWNLOAD_FAILED", retryable: isRetryableHttpStatus(status) }
+        case JOB_STAGES.probe:
+            return { code: "PROBE_FAILED", retryable: false }
+        case JOB_STAGES.transcode:
+            // ffmpeg rejecting the source is permanent; a failed system call around it is not.
+            return { code: "TRANSCODE_FAILED", retryable: chain.some((entry) => typeof entry.syscall === "string") }
+        case JOB_STAGES.subtitle:
+            if (chain.some((entry) => entry.$metadata)) {
+                return { code: "SUBTITLE_UPLOAD_FAILED", retryable: chain.some(isRetryableUploadError) }
+            }
+            return { code: "SUBTITLE_FAILED", retryable: false }
+        case JOB_STAGES.upload:
+            return {
+                code: "UPLOAD_FAILED",
+                retryable: chain.some(isRetryableUploadError) || isRetryableHttpStatus(status),
+            }
+        case JOB_STAGES.api:
+            return { code: "API_REQUEST_FAILED", retryable: isRetryableHttpStatus(status) }
+        default:
+            return { code: "INTERNAL_ERROR", retryable: false }
     }
+}
 
-    const requested = Array.isArray(job.requested_qualities)
-        ? job.requested_qualities
-            .map((item) => normalizeQualityName(item))
-            .filter((item) => !!item && item !== "auto" && item !== SUBTITLE_ONLY_QUALITY_TOKEN)
-        : []
-    const requestedSet = new Set(requested)
+/**
+ * Normalizes anything thrown inside a stage into a JobError. Worker-side
+ * conditions (full disk, memory or I/O exhaustion, missing binary, child
+ * killed by a signal, e.g. by the OOM killer) are retryable regardless of
+ * stage since another attempt or worker may succeed.
+ */
+function toJobError(error, stage) {
+    if (isJobError(error)) return error
+    const normalized = error instanceof Error ? error : new Error(String(error))
+    const chain = collectErrorChain(normalized)
+    const childFailure = chain.find((entry) => typeof entry.stderrTail === "string" || entry.exitSignal)
+    const stderrTail = childFailure?.stderrTail || null
+    const status = chain
+        .map((entry) => Number(entry.status || entry.$metadata?.httpStatusCode || 0))
+        .find((value) => value > 0) || 0
+
+    let classification
+    if (chain.some((entry) => entry.code === "ENOSPC") || /no space left on device/i.test(stderrTail || "")) {
+        classification = { code: "WORKER_DISK_FULL", retryable: true }
+    } else if (
+        chain.some((entry) => TRANSIENT_WORKER_ERROR_CODES.has(entry.code))
+        || TRANSIENT_WORKER_STDERR_PATTERN.test(stderrTail || "")
+    ) {
+        classification = { code: "WORKER_RESOURCE_EXHAUSTED", retryable: true }
+    } else if (chain.some((entry) => entry.code === "ENOENT" && String(entry.syscall || "").startsWith("spawn"))) {
+        classification = { code: "WORKER_TOOL_MISSING", retryable: true }
+    } else if (childFailure?.exitSignal) {
+        classification = { code: `${String(stage || "worker").toUpperCase()}_KILLED`, retryable: true }
+    } else {
+        classification = classifyJobFailure(stage, chain, status)
+    }
 
-    let selected = configuredQualities.filter((quality) => {
-        if (requestedSet.size === 0) return true
-        return requestedSet.has(normalizeQualityName(quality.name))
+    return createJobError({
+        ...classification,
+        stage: stage || null,
+        message: normalized.message,
+        cause: normalized,
+        stderrTail,
     })
-    if (selected.length === 0) selected = [...configuredQualities]
+}
 
-    const sourceHeight = Number(sourceVideoInfo?.height)
-    if (Number.isFinite(sourceHeight) && sourceHeight > 0) {
-        const bounded = selected.filter((quality) => quality.height <= sourceHeight + 8)
-        if (bounded.length > 0) {
-            selected = bounded
-        } else {
-            selected = [selected[0]]
-        }
-    }
+function isChildProcessRunning(child) {
+    return child.exitCode === null && child.signalCode === null
+}
 
-    return sortQualitiesAscending(selected)
+function terminateChildProcess(child) {
+    if (!isChildProcessRunning(child)) return
+    child.kill("SIGTERM")
+    const timer = setTimeout(() => {
+        if (isChildProcessRunning(child)) child.kill("SIGKILL")
+    }, CONFIG.childKillGraceMs)
+    timer.unref()
 }
 
-async function transcodeToHls({
-    inputPath,
-    outputDir,
+/**
+ * Per-job abort state shared by the pipeline, its child processes and the
+ * heartbeat loop. Aborting kills every tracked child; the pipeline notices
+ * through throwIfJobAborted() at stage boundaries.
+ */
+function createJobRuntime(job) {
+    const controller = new AbortController()
+    const children = new Set()
+
+    return {
+        job,
+        // Unique per claim of this job; scopes idempotency keys so a requeued run never reuses them.
+        attemptId: crypto.randomUUID(),
+        signal: controller.signal,
+        get logContext() {
+            return { job_id: job.id, content_item_id: job.content_item_id, stage: this.stage }
+        },
+        // True until the job's main encode is done; gates claiming in runLoop.
+        awaitingCpuStage: true,
+        // Pipeline stage (JOB_STAGES) used to classify failures.
+        stage: null,
+        stageStartedAt: null,
+        startedAt: Date.now(),
+        // Wall-clock milliseconds spent per stage, accumulated across re-entries.
+        stageDurationsMs: {},
+        // Counters for the encode report sent with completion.
+        stats: {
+            bytesDownloaded: 0,
+            bytesUploaded: 0,
+            uploadRetries: 0,
+            transcode: null,
+            subtitles: null,
+        },
+        // Remote keys this job has written, so a cancel can remove exactly its own partial output.
+        uploadedKeys: new Set(),
+        // Set when the job writes into a prefix that is already live (subtitle-only jobs): keys that
+        // existed before the first write are recorded in preexistingKeys and survive a cancel.
+        checkPreexistingKeys: false,
+        preexistingKeys: new Set(),
+        uploadCheckpoint: null,
+        abort(reason, message) {
+            if (controller.signal.aborted) return
+            controller.abort(createJobAbortError(reason, message))
+            for (const child of children) {
+                terminateChildProcess(child)
+            }
+        },
+        trackChild(child) {
+            children.add(child)
+            if (controller.signal.aborted) {
+                terminateChildProcess(child)
+            }
+            return () => children.delete(child)
+        },
+    }
+}
+
+function finishJobStage(runtime) {
+    if (!runtime.stage || runtime.stageStartedAt === null) return
+    const durationMs = Date.now() - runtime.stageStartedAt
+    runtime.stageDurationsMs[runtime.stage] = (runtime.stageDurationsMs[runtime.stage] || 0) + durationMs
+    metrics.stageDuration.observe({ stage: runtime.stage }, durationMs / 1000)
+    log(`Stage ${runtime.stage} of job ${runtime.job.id} finished in ${durationMs}ms`, "info", {
+        ...runtime.logContext,
+        duration_ms: durationMs,
+    })
+    runtime.stageStartedAt = null
+}
+
+function enterJobStage(runtime, stage) {
+    finishJobStage(runtime)
+    runtime.stage = stage
+    runtime.stageStartedAt = Date.now()
+}
+
+function throwIfJobAborted(runtime) {
+    if (runtime?.signal.aborted) {
+        throw runtime.signal.reason
+    }
+}
+
+function runChildProcess(command, args, {
+    runtime,
+    name = command,
+    onStdoutLine,
+    onStderrLine,
+} = {}) {
+    // Child output is always captured and re-logged with its source, so lines from concurrent
+    // jobs stay attributable instead of interleaving raw on the worker's stdout.
+    const stderrTail = []
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+            stdio: ["ignore", "pipe", "pipe"],
+        })
+        const untrack = runtime ? runtime.trackChild(child) : () => {}
+        const logChildLine = (line, stream) => {
+            if (!line.trim()) return
+            log(line, "info", { ...runtime?.logContext, source: name, stream })
+        }
+        readline.createInterface({ input: child.stdout }).on("line", onStdoutLine || ((line) => logChildLine(line, "stdout")))
+        readline.createInterface({ input: child.stderr }).on("line", (line) => {
+            stderrTail.push(line)
+            if (stderrTail.length > CONFIG.stderrTailLines) stderrTail.shift()
+            logChildLine(line, "stderr")
+            onStderrLine?.(line)
+        })
+        child.on("error", (error) => {
+            untrack()
+            reject(error)
+        })
+        child.on("close", (code, exitSignal) => {
+            untrack()
+            if (runtime?.signal.aborted) {
+                reject(runtime.signal.reason)
+                return
+            }
+            if (code === 0) {
+                resolve()
+                return
+            }
+            const error = new Error(
+                exitSignal ? `${name} was killed by ${exitSignal}` : `${name} exited with code ${code}`,
+            )
+            error.exitCode = code
+            error.exitSignal = exitSignal
+            error.stderrTail = stderrTail.join("\n")
+            reject(error)
+        })
+    })
+}
+
+function createSlotPool(limit) {
+    let inUse = 0
+    const waiters = []
+
+    const release = () => {
+        const next = waiters.shift()
+        if (next) {
+            next.grant()
+        } else {
+            inUse -= 1
+        }
+    }
+
+    return {
+        get busy() {
+            return inUse + waiters.length
+        },
+        async acquire(signal) {
+            if (inUse < limit && waiters.length === 0) {
+                inUse += 1
+            } else {
+                await new Promise((resolve, reject) => {
+                    const waiter = {
+                        grant: () => {
+                            signal?.removeEventListener("abort", onAbort)
+                            resolve()
+                        },
+                    }
+                    const onAbort = () => {
+                        const index = waiters.indexOf(waiter)
+                        if (index >= 0) waiters.splice(index, 1)
+                        reject(signal.reason)
+                    }
+                    if (signal?.aborted) {
+                        reject(signal.reason)
+                        return
+                    }
+                    signal?.addEventListener("abort", onAbort, { once: true })
+                    waiters.push(waiter)
+                })
+            }
+            let released = false
+            return () => {
+                if (released) return
+                released = true
+                release()
+                wakeIdleSleep?.()
+            }
+        },
+    }
+}
+
+/**
+ * Runs a CPU-heavy stage (ffmpeg encodes) inside one of the
+ * ENCODER_MAX_CPU_HEAVY_STAGES slots shared by all jobs in this process.
+ */
+async function withCpuStageSlot(runtime, label, task) {
+    const waitStartedAt = Date.now()
+    const release = await cpuStageSlots.acquire(runtime?.signal)
+    const waitedMs = Date.now() - waitStartedAt
+    if (waitedMs > 1000) {
+        log(`Waited ${waitedMs}ms for a CPU slot (${label})`, "info", runtime?.logContext)
+    }
+    try {
+        return await task()
+    } finally {
+        release()
+    }
+}
+
+function resolveFfmpegThreadBudget() {
+    if (CONFIG.ffmpegThreads > 0) return CONFIG.ffmpegThreads
+    if (CONFIG.maxConcurrentJobs <= 1) return 0
+    return Math.max(1, Math.floor(os.cpus().length / CONFIG.maxCpuHeavyStages))
+}
+
+function resolveSubtitleThreadBudget() {
+    if (CONFIG.subtitles.cpuThreads > 0) return CONFIG.subtitles.cpuThreads
+    if (CONFIG.maxConcurrentJobs <= 1) return 0
+    return Math.max(1, Math.floor(os.cpus().length / CONFIG.maxConcurrentJobs))
+}
+
+function isLeaseLostResponse(data) {
+    if (data.lease_lost === true || data.lease_valid === false) return true
+    const leaseWorkerId = normalizeOptionalString(data.worker_id)
+    return !!leaseWorkerId && leaseWorkerId !== CONFIG.workerId
+}
+
+function isCancelRequestedResponse(data) {
+    if (parseDbBoolean(data.cancel_requested)) return true
+    const status = normalizeOptionalString(data.status)?.toLowerCase()
+    return !!status && CANCELLED_JOB_STATUSES.has(status)
+}
+
+/**
+ * Applies control signals piggybacked on heartbeat and progress responses:
+ * a lost/reassigned lease or an admin cancel aborts the running job.
+ */
+function applyJobControlResponse(runtime, data) {
+    const jobId = runtime.job.id
+    if (isCancelRequestedResponse(data)) {
+        runtime.abort(JOB_ABORT_CANCELLED, `Job ${jobId} was cancelled by an admin`)
+        return
+    }
+    if (isLeaseLostResponse(data)) {
+        const owner = normalizeOptionalString(data.worker_id)
+        runtime.abort(
+            JOB_ABORT_LEASE_LOST,
+            owner && owner !== CONFIG.workerId
+                ? `Lease for job ${jobId} was reassigned to ${owner}`
+                : `Lease for job ${jobId} was lost`,
+        )
+    }
+}
+
+function startJobHeartbeat(runtime) {
+    const jobId = runtime.job.id
+    let inFlight = false
+
+    const beat = async () => {
+        if (inFlight || runtime.signal.aborted) return
+        inFlight = true
+        try {
+            const data = await sendJobHeartbeat(jobId)
+            applyJobControlResponse(runtime, data)
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error)
+            // 404/409/410 mean the server no longer considers this worker the job owner.
+            if ([404, 409, 410].includes(Number(error?.status))) {
+                runtime.abort(JOB_ABORT_LEASE_LOST, `Lease for job ${jobId} rejected: ${message}`)
+            } else {
+                log(`Heartbeat failed for job ${jobId}: ${message}`, "warn", runtime.logContext)
+            }
+        } finally {
+            inFlight = false
+        }
+    }
+
+    const timer = setInterval(beat, CONFIG.heartbeatIntervalMs)
+    return () => clearInterval(timer)
+}
+
+/**
+ * Optional faster cancel detection between heartbeats: reads the job record
+ * and applies the same control signals. Failures are only logged, the
+ * heartbeat stays the authority on the lease.
+ */
+function startJobStatusPoll(runtime) {
+    if (CONFIG.statusPollIntervalMs <= 0) return () => {}
+    const jobId = runtime.job.id
+    let inFlight = false
+
+    const poll = async () => {
+        if (inFlight || runtime.signal.aborted) return
+        inFlight = true
+        try {
+            const payload = await apiRequest("GET", `/api/admin/encoding-jobs/${jobId}`, undefined, {
+                timeoutMs: Math.min(CONFIG.apiTimeoutMs, CONFIG.statusPollIntervalMs),
+            })
+            const data = payload.data && typeof payload.data === "object" ? payload.data : {}
+            applyJobControlResponse(runtime, data)
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error)
+            log(`Status poll failed for job ${jobId}: ${message}`, "warn", runtime.logContext)
+        } finally {
+            inFlight = false
+        }
+    }
+
+    const timer = setInterval(poll, CONFIG.statusPollIntervalMs)
+    return () => clearInterval(timer)
+}
+
+function parseTimestampToSeconds(value) {
+    const match = String(value || "").trim().match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/)
+    if (!match) return null
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])
+}
+
+function parseFfmpegProgressBlock(fields) {
+    const outTimeUs = Number(fields.out_time_us ?? fields.out_time_ms)
+    const outTimeSeconds = Number.isFinite(outTimeUs) && outTimeUs >= 0
+        ? outTimeUs / 1000000
+        : parseTimestampToSeconds(fields.out_time)
+    const speed = Number.parseFloat(String(fields.speed || "").replace(/x$/, ""))
+    const fps = Number.parseFloat(String(fields.fps || ""))
+    return {
+        outTimeSeconds,
+        speed: Number.isFinite(speed) && speed > 0 ? speed : null,
+        fps: Number.isFinite(fps) && fps > 0 ? fps : null,
+        done: fields.progress === "end",
+    }
+}
+
+/**
+ * Collects ffmpeg `-progress` key=value lines and emits one parsed snapshot
+ * per block (each block is terminated by a `progress=` line).
+ */
+function createFfmpegProgressParser(onProgress) {
+    let fields = {}
+    return (line) => {
+        const separator = line.indexOf("=")
+        if (separator <= 0) return
+        const key = line.slice(0, separator).trim()
+        fields[key] = line.slice(separator + 1).trim()
+        if (key !== "progress") return
+        const snapshot = parseFfmpegProgressBlock(fields)
+        fields = {}
+        onProgress(snapshot)
+    }
+}
+
+function parseSubtitleProgressLine(line) {
+    const match = String(line || "").match(/^\[subtitle\] progress\b(.*)$/)
+    if (!match) return null
+    const atMatch = match[1].match(/\bat=(\S+)/)
+    const percentMatch = match[1].match(/\(([\d.]+)%\)/)
+    const percent = percentMatch ? Number.parseFloat(percentMatch[1]) : null
+    return {
+        processedSeconds: atMatch ? parseTimestampToSeconds(atMatch[1]) : null,
+        percent: Number.isFinite(percent) ? percent : null,
+    }
+}
+
+function clampPercent(value) {
+    if (!Number.isFinite(value)) return null
+    return Math.round(Math.max(0, Math.min(100, value)) * 10) / 10
+}
+
+/**
+ * Returns a reporter that turns raw progress samples into throttled
+ * markJobProgress calls with percent, eta_seconds and speed.
+ * Samples carry either processedSeconds (measured against durationSeconds)
+ * or a ready-made percent; ETA falls back to wall-clock extrapolation when
+ * the child does not report its speed.
+ */
+function createStageProgressReporter(jobId, { stage, message, durationSeconds }) {
+    const startedAt = Date.now()
+    let lastSentAt = 0
+    let lastPercent = null
+
+    return ({ processedSeconds = null, percent = null, speed = null }) => {
+        const hasDuration = Number.isFinite(durationSeconds) && durationSeconds > 0
+        const measuredPercent = hasDuration && Number.isFinite(processedSeconds)
+            ? (processedSeconds / durationSeconds) * 100
+            : percent
+        const normalizedPercent = clampPercent(measuredPercent)
+        if (normalizedPercent === null || normalizedPercent === lastPercent) return
+
+        const now = Date.now()
+        if (normalizedPercent < 100 && now - lastSentAt < CONFIG.progressReportIntervalMs) return
+        lastSentAt = now
+        lastPercent = normalizedPercent
+
+        let etaSeconds = null
+        if (speed && hasDuration && Number.isFinite(processedSeconds)) {
+            etaSeconds = Math.max(0, (durationSeconds - processedSeconds) / speed)
+        } else if (normalizedPercent > 0) {
+            const elapsedSeconds = (now - startedAt) / 1000
+            etaSeconds = (elapsedSeconds * (100 - normalizedPercent)) / normalizedPercent
+        }
+
+        void markJobProgress(jobId, {
+            stage,
+            message,
+            percent: normalizedPercent,
+            eta_seconds: etaSeconds === null ? null : Math.round(etaSeconds),
+            speed: speed === null ? null : Math.round(speed * 100) / 100,
+        })
+    }
+}
+
+async function downloadFile(url, destinationPath, { signal } = {}) {
+    const response = await fetch(url, { signal })
+    if (!response.ok || !response.body) {
+        const error = new Error(`Download failed (${response.status}) for ${url}`)
+        error.status = response.status
+        throw error
+    }
+    ensureDir(path.dirname(destinationPath))
+    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(destinationPath))
+}
+
+function toNodeReadable(body) {
+    if (typeof body?.pipe === "function") return body
+    if (typeof body?.transformToWebStream === "function") return Readable.fromWeb(body.transformToWebStream())
+    throw new Error("Unsupported S3 response body type")
+}
+
+/**
+ * Signal that aborts when the parent aborts or when touch() has not been
+ * called for timeoutMs, so a stalled transfer fails instead of hanging.
+ */
+function createStallGuard(parentSignal, timeoutMs) {
+    const controller = new AbortController()
+    const onParentAbort = () => controller.abort(parentSignal.reason)
+    let timer = null
+    const touch = () => {
+        clearTimeout(timer)
+        timer = setTimeout(() => {
+            controller.abort(new Error(`Transfer stalled for ${timeoutMs}ms`))
+        }, timeoutMs)
+    }
+    if (parentSignal?.aborted) {
+        onParentAbort()
+    } else {
+        parentSignal?.addEventListener("abort", onParentAbort, { once: true })
+    }
+    touch()
+    return {
+        signal: controller.signal,
+        touch,
+        dispose() {
+            clearTimeout(timer)
+            parentSignal?.removeEventListener("abort", onParentAbort)
+        },
+    }
+}
+
+function isRetryableDownloadError(error) {
+    const status = Number(error?.status || error?.$metadata?.httpStatusCode || 0)
+    if (status >= 400 && status < 500) {
+        return status === 408 || status === 429
+    }
+    return true
+}
+
+function createDownloadHttpError(response, url) {
+    const error = new Error(`Download failed (${response.status}) for ${url}`)
+    error.status = response.status
+    return error
+}
+
+function parseContentRangeTotal(value) {
+    const match = String(value || "").match(/\/(\d+)\s*$/)
+    return match ? Number(match[1]) : null
+}
+
+async function waitBeforeDownloadRetry({ label, attempt, error, signal, logContext }) {
+    if (signal?.aborted) throw signal.reason
+    if (!isRetryableDownloadError(error) || attempt >= CONFIG.downloadMaxAttempts) throw error
+    const waitMs = CONFIG.downloadRetryDelayMs * Math.pow(2, attempt - 1)
+    const message = error instanceof Error ? error.message : String(error)
+    log(
+        `Download retry ${attempt}/${CONFIG.downloadMaxAttempts} for ${label}: ${message}. Retrying in ${waitMs}ms`,
+        "warn",
+        logContext,
+    )
+    await sleep(waitMs)
+    if (signal?.aborted) throw signal.reason
+}
+
+/**
+ * Streams url into destinationPath through a `.part` file. A dropped or
+ * stalled connection resumes with a Range request from the bytes already on
+ * disk (including ones left by a failed attempt of the same job), and the
+ * result must match the size announced by the server.
+ */
+async function downloadHttpSource(url, destinationPath, { signal, logContext } = {}) {
+    const partPath = `${destinationPath}.http.part`
+    ensureDir(path.dirname(destinationPath))
+
+    for (let attempt = 1; ; attempt += 1) {
+        const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0
+        const guard = createStallGuard(signal, CONFIG.downloadStallTimeoutMs)
+        try {
+            const response = await fetch(url, {
+                signal: guard.signal,
+                headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+            })
+            if (response.status === 416 && offset > 0) {
+                const total = parseContentRangeTotal(response.headers.get("content-range"))
+                if (total === offset) break
+                fs.rmSync(partPath, { force: true })
+                throw createDownloadHttpError(response, url)
+            }
+            if (!response.ok || !response.body) {
+                throw createDownloadHttpError(response, url)
+            }
+
+            const resumed = response.status === 206 && offset > 0
+            if (offset > 0 && !resumed) {
+                log(`Server ignored Range for ${url}, restarting download from zero`, "warn", logContext)
+            }
+            const expectedSize = response.status === 206
+                ? parseContentRangeTotal(response.headers.get("content-range"))
+                : Number(response.headers.get("content-length")) || null
+
+            const body = Readable.fromWeb(response.body)
+            body.on("data", guard.touch)
+            await pipeline(body, fs.createWriteStream(partPath, { flags: resumed ? "a" : "w" }))
+
+            const size = fs.statSync(partPath).size
+            if (expectedSize !== null && size !== expectedSize) {
+                throw new Error(`Download incomplete for ${url}: ${size}/${expectedSize} bytes`)
+            }
+            break
+        } catch (error) {
+            await waitBeforeDownloadRetry({ label: url, attempt, error, signal, logContext })
+        } finally {
+            guard.dispose()
+        }
+    }
+    fs.renameSync(partPath, destinationPath)
+}
+
+async function downloadRawBucketPart({ handle, storagePath, etag, start, end, signal, logContext }) {
+    const label = `${storagePath} bytes ${start}-${end}`
+    for (let attempt = 1; ; attempt += 1) {
+        const guard = createStallGuard(signal, CONFIG.downloadStallTimeoutMs)
+        try {
+            const result = await s3Client.send(
+                new GetObjectCommand({
+                    Bucket: CONFIG.b2.rawBucketName,
+                    Key: storagePath,
+                    Range: `bytes=${start}-${end}`,
+                    IfMatch: etag || undefined,
+                }),
+                { abortSignal: guard.signal },
+            )
+            if (!result.Body) {
+                throw new Error(`Raw bucket download returned empty body for ${label}`)
+            }
+            let position = start
+            for await (const chunk of toNodeReadable(result.Body)) {
+                guard.touch()
+                await handle.write(chunk, 0, chunk.length, position)
+                position += chunk.length
+            }
+            if (position !== end + 1) {
+                throw new Error(`Raw bucket part incomplete for ${label}: got ${position - start} bytes`)
+            }
+            return
+        } catch (error) {
+            await waitBeforeDownloadRetry({ label, attempt, error, signal, logContext })
+        } finally {
+            guard.dispose()
+        }
+    }
+}
+
+/**
+ * Fetches a raw upload as CONFIG.downloadPartSizeBytes ranged parts with
+ * CONFIG.downloadConcurrency parallel requests. Finished parts are recorded
+ * next to the `.part` file so a retry only fetches the missing ones; the
+ * recorded ETag must still match, otherwise the download starts over.
+ */
+async function downloadFromRawBucket(storagePath, destinationPath, { signal, logContext } = {}) {
+    const head = await s3Client.send(
+        new HeadObjectCommand({
+            Bucket: CONFIG.b2.rawBucketName,
+            Key: storagePath,
+        }),
+        { abortSignal: signal },
+    )
+    const totalSize = Number(head.ContentLength)
+    if (!Number.isFinite(totalSize) || totalSize <= 0) {
+        throw new Error(`Raw bucket object ${storagePath} is empty or has no Content-Length`)
+    }
+
+    ensureDir(path.dirname(destinationPath))
+    const partPath = `${destinationPath}.raw.part`
+    const statePath = `${destinationPath}.raw.parts.json`
+    const partSize = CONFIG.downloadPartSizeBytes
+    const partCount = Math.ceil(totalSize / partSize)
+    const state = readJsonFile(statePath)
+    const canResume = !!state
+        && state.size === totalSize
+        && state.etag === (head.ETag || null)
+        && state.partSize === partSize
+        && Array.isArray(state.completed)
+        && fs.existsSync(partPath)
+    const completedParts = new Set(canResume ? state.completed : [])
+    if (!canResume) {
+        fs.rmSync(partPath, { force: true })
+        fs.closeSync(fs.openSync(partPath, "w"))
+    } else if (completedParts.size > 0) {
+        log(`Resuming raw download of ${storagePath}: ${completedParts.size}/${partCount} part(s) on disk`, "info", logContext)
+    }
+
+    const pendingParts = []
+    for (let index = 0; index < partCount; index += 1) {
+        if (!completedParts.has(index)) pendingParts.push(index)
+    }
+
+    const handle = await fs.promises.open(partPath, "r+")
+    try {
+        let cursor = 0
+        let firstError = null
+        const runWorker = async () => {
+            while (!firstError && cursor < pendingParts.length) {
+                const index = pendingParts[cursor]
+                cursor += 1
+                const start = index * partSize
+                const end = Math.min(totalSize, start + partSize) - 1
+                try {
+                    await downloadRawBucketPart({
+                        handle,
+                        storagePath,
+                        etag: head.ETag,
+                        start,
+                        end,
+                        signal,
+                        logContext,
+                    })
+                } catch (error) {
+                    firstError = firstError || error
+                    return
+                }
+                completedParts.add(index)
+                writeJsonFile(statePath, {
+                    size: totalSize,
+                    etag: head.ETag || null,
+                    partSize,
+                    completed: Array.from(completedParts),
+                })
+            }
+        }
+        const workers = Math.max(1, Math.min(CONFIG.downloadConcurrency, pendingParts.length))
+        await Promise.all(Array.from({ length: workers }, () => runWorker()))
+        if (firstError) {
+            throw firstError
+        }
+    } finally {
+        await handle.close()
+    }
+
+    const size = fs.statSync(partPath).size
+    if (size !== totalSize) {
+        throw new Error(`Raw bucket download size mismatch for ${storagePath}: ${size}/${totalSize} bytes`)
+    }
+    fs.renameSync(partPath, destinationPath)
+    fs.rmSync(statePath, { force: true })
+}
+
+/**
+ * Checksum the job expects for its source, as `{ algorithm, digest }`.
+ * Accepts "sha256:<hex>", "md5:<hex>" or a bare hex digest (typed by length).
+ */
+function resolveSourceChecksum(job) {
+    const contentMetadata = getContentMetadataFromJob(job)
+    const encodingMetadata = getEncodingMetadataFromJob(job)
+    const raw = normalizeOptionalString(
+        job?.source_checksum
+        ?? job?.source_sha256
+        ?? job?.source_md5
+        ?? encodingMetadata.source_checksum
+        ?? contentMetadata.source_checksum,
+    )?.toLowerCase()
+    if (!raw) return null
+
+    const [prefix, value] = raw.includes(":") ? raw.split(":", 2) : [null, raw]
+    const digest = value.replace(/[^a-f0-9]/g, "")
+    const algorithm = prefix === "sha256" || prefix === "md5" || prefix === "sha1"
+        ? prefix
+        : digest.length === 64
+            ? "sha256"
+            : digest.length === 40
+                ? "sha1"
+                : digest.length === 32
+                    ? "md5"
+                    : null
+    if (!algorithm) return null
+    return { algorithm, digest }
+}
+
+async function verifySourceChecksum(job, filePath) {
+    const expected = resolveSourceChecksum(job)
+    if (!expected) return
+    const actual = await hashFile(filePath, expected.algorithm)
+    if (actual !== expected.digest) {
+        fs.rmSync(filePath, { force: true })
+        throw createJobError({
+            code: "SOURCE_CHECKSUM_MISMATCH",
+            stage: JOB_STAGES.download,
+            message: `Source ${expected.algorithm} checksum mismatch: expected ${expected.digest}, got ${actual}`,
+            // A corrupted transfer is worth another attempt; a wrong checksum on record keeps failing.
+            retryable: true,
+        })
+    }
+}
+
+async function downloadSourceForJob(job, destinationPath, runtime) {
+    const sourceUrl = job.source_url
+    const downloadOptions = { signal: runtime?.signal, logContext: runtime?.logContext }
+    let directDownloadError = null
+    if (sourceUrl) {
+        try {
+            await downloadHttpSource(sourceUrl, destinationPath, downloadOptions)
+            await verifySourceChecksum(job, destinationPath)
+            return
+        } catch (error) {
+            throwIfJobAborted(runtime)
+            log(`Direct source URL download failed for job ${job.id}: ${error.message}`, "warn", runtime?.logContext)
+            directDownloadError = error
+        }
+    }
+    if (job.source_storage_path) {
+        throwIfJobAborted(runtime)
+        await downloadFromRawBucket(job.source_storage_path, destinationPath, downloadOptions)
+        await verifySourceChecksum(job, destinationPath)
+        return
+    }
+    if (directDownloadError) {
+        throw directDownloadError
+    }
+    throw createJobError({
+        code: "SOURCE_MISSING",
+        stage: JOB_STAGES.download,
+        message: "No downloadable source available (source_url and source_storage_path missing)",
+        retryable: false,
+    })
+}
+
+function createSourceRejectedError(code, message, cause = null) {
+    return createJobError({
+        code,
+        stage: JOB_STAGES.probe,
+        message: `${code}: ${message}`,
+        retryable: false,
+        cause,
+        stderrTail: cause?.stderrTail || null,
+    })
+}
+
+function parseFrameRate(value) {
+    const raw = String(value || "").trim()
+    if (!raw || raw === "0/0") return null
+    const [numStr, denStr = "1"] = raw.split("/")
+    const num = Number(numStr)
+    const den = Number(denStr)
+    if (!Number.isFinite(num) || !Number.isFinite(den) || den <= 0) return null
+    const fps = num / den
+    return Number.isFinite(fps) && fps > 0 ? fps : null
+}
+
+function parseAspectRatio(value) {
+    const match = String(value || "").match(/^(\d+):(\d+)$/)
+    if (!match) return null
+    const num = Number(match[1])
+    const den = Number(match[2])
+    if (num <= 0 || den <= 0) return null
+    return { num, den, value: num / den, label: `${num}:${den}` }
+}
+
+function parseOptionalNumber(value) {
+    const parsed = Number(value)
+    return value !== undefined && value !== null && value !== "" && Number.isFinite(parsed) ? parsed : null
+}
+
+function resolveStreamRotation(stream) {
+    const tagRotation = parseOptionalNumber(stream?.tags?.rotate)
+    if (tagRotation !== null) return ((tagRotation % 360) + 360) % 360
+    const sideData = Array.isArray(stream?.side_data_list) ? stream.side_data_list : []
+    for (const entry of sideData) {
+        const rotation = parseOptionalNumber(entry?.rotation)
+        // Display-matrix rotation is counter-clockwise; normalize to the clockwise `rotate` tag convention.
+        if (rotation !== null) return ((-rotation % 360) + 360) % 360
+    }
+    return 0
+}
+
+function describeStreamCommon(stream) {
+    const tags = stream?.tags && typeof stream.tags === "object" ? stream.tags : {}
+    const disposition = stream?.disposition && typeof stream.disposition === "object" ? stream.disposition : {}
+    return {
+        index: Number(stream.index),
+        codec: normalizeOptionalString(stream.codec_name),
+        language: normalizeOptionalString(tags.language)?.toLowerCase() || "und",
+        title: normalizeOptionalString(tags.title),
+        default: disposition.default === 1,
+    }
+}
+
+function describeVideoStream(stream) {
+    const width = parsePositiveInt(stream.width, 0)
+    const height = parsePositiveInt(stream.height, 0)
+    const rotation = resolveStreamRotation(stream)
+    const sampleAspectRatio = parseAspectRatio(stream.sample_aspect_ratio)
+    const displayAspectRatio = parseAspectRatio(stream.display_aspect_ratio)
+    // ffmpeg auto-rotates and the ladder scales to square pixels, so size the output from display geometry.
+    const squareWidth = sampleAspectRatio ? Math.round(width * sampleAspectRatio.value) : width
+    const quarterTurn = rotation === 90 || rotation === 270
+    const fieldOrder = normalizeOptionalString(stream.field_order)?.toLowerCase() || "unknown"
+    const colorTransfer = normalizeOptionalString(stream.color_transfer)?.toLowerCase() || null
+    return {
+        ...describeStreamCommon(stream),
+        profile: normalizeOptionalString(stream.profile),
+        pixelFormat: normalizeOptionalString(stream.pix_fmt),
+        width,
+        height,
+        rotation,
+        sampleAspectRatio: sampleAspectRatio?.label || null,
+        displayAspectRatio: displayAspectRatio?.label || null,
+        displayWidth: quarterTurn ? height : squareWidth,
+        displayHeight: quarterTurn ? squareWidth : height,
+        fps: parseFrameRate(stream.avg_frame_rate) || parseFrameRate(stream.r_frame_rate),
+        fieldOrder,
+        interlaced: fieldOrder !== "progressive" && fieldOrder !== "unknown",
+        colorTransfer,
+        colorPrimaries: normalizeOptionalString(stream.color_primaries)?.toLowerCase() || null,
+        colorSpace: normalizeOptionalString(stream.color_space)?.toLowerCase() || null,
+        hdr: !!colorTransfer && HDR_COLOR_TRANSFERS.has(colorTransfer),
+        bitRate: parseOptionalNumber(stream.bit_rate),
+    }
+}
+
+function describeAudioStream(stream) {
+    return {
+        ...describeStreamCommon(stream),
+        channels: parsePositiveInt(stream.channels, 0),
+        channelLayout: normalizeOptionalString(stream.channel_layout),
+        sampleRate: parsePositiveInt(stream.sample_rate, 0),
+        bitRate: parseOptionalNumber(stream.bit_rate),
+    }
+}
+
+function describeSubtitleStream(stream) {
+    return {
+        ...describeStreamCommon(stream),
+        forced: stream?.disposition?.forced === 1,
+    }
+}
+
+/**
+ * Builds the typed source descriptor from `ffprobe -show_streams -show_format`
+ * JSON. Attached pictures (cover art) are not treated as video streams.
+ */
+function buildSourceDescriptor(probe) {
+    const streams = Array.isArray(probe?.streams) ? probe.streams : []
+    const format = probe?.format && typeof probe.format === "object" ? probe.format : {}
+    const videoStream = streams.find((stream) => stream.codec_type === "video" && stream?.disposition?.attached_pic !== 1)
+    const video = videoStream ? describeVideoStream(videoStream) : null
+    const durationSeconds = parseOptionalNumber(format.duration)
+        ?? parseOptionalNumber(videoStream?.duration)
+        ?? null
+
+    return {
+        formatName: normalizeOptionalString(format.format_name),
+        durationSeconds: durationSeconds !== null && durationSeconds > 0 ? durationSeconds : 0,
+        sizeBytes: parseOptionalNumber(format.size),
+        bitRate: parseOptionalNumber(format.bit_rate),
+        video,
+        audioStreams: streams.filter((stream) => stream.codec_type === "audio").map(describeAudioStream),
+        subtitleStreams: streams.filter((stream) => stream.codec_type === "subtitle").map(describeSubtitleStream),
+    }
+}
+
+async function probeSource(inputPath, runtime) {
+    const lines = []
+    try {
+        await runChildProcess(
+            "ffprobe",
+            ["-v", "error", "-show_streams", "-show_format", "-of", "json", inputPath],
+            { runtime, name: "ffprobe", onStdoutLine: (line) => lines.push(line) },
+        )
+        return buildSourceDescriptor(JSON.parse(lines.join("\n")))
+    } catch (error) {
+        throwIfJobAborted(runtime)
+        const message = error instanceof Error ? error.message : String(error)
+        throw createSourceRejectedError(SOURCE_ERROR_CODES.probeFailed, `ffprobe could not read the source (${message})`, error)
+    }
+}
+
+/**
+ * Decodes the first frame of the stream the job depends on, so a source
+ * ffprobe can parse but ffmpeg cannot decode is rejected before transcoding.
+ */
+async function assertSourceDecodable(inputPath, streamSpecifier, runtime) {
+    try {
+        await runChildProcess(
+            "ffmpeg",
+            ["-v", "error", "-nostdin", "-i", inputPath, "-map", `0:${streamSpecifier}`, "-frames:v", "1", "-t", "1", "-f", "null", "-"],
+            { runtime, name: "ffmpeg decode check" },
+        )
+    } catch (error) {
+        throwIfJobAborted(runtime)
+        const message = error instanceof Error ? error.message : String(error)
+        throw createSourceRejectedError(
+            SOURCE_ERROR_CODES.undecodable,
+            `source stream ${streamSpecifier} cannot be decoded (${message})`,
+            error,
+        )
+    }
+}
+
+/**
+ * Rejects sources the job cannot use. A missing audio stream is not a
+ * source error here: auto subtitles report it as SUBTITLE_NO_AUDIO (or
+ * skip) and manual subtitle tracks do not need audio at all. With
+ * decodeAudio, an existing audio stream is decode-checked instead of video.
+ */
+async function validateSource(inputPath, descriptor, { requireVideo, decodeAudio = false, runtime }) {
+    if (requireVideo && !descriptor.video) {
+        throw createSourceRejectedError(SOURCE_ERROR_CODES.noVideoStream, "source has no video stream")
+    }
+    if (!(descriptor.durationSeconds > 0)) {
+        throw createSourceRejectedError(SOURCE_ERROR_CODES.zeroDuration, "source reports zero or unknown duration")
+    }
+    if (requireVideo && (descriptor.video.width <= 0 || descriptor.video.height <= 0)) {
+        throw createSourceRejectedError(SOURCE_ERROR_CODES.undecodable, "source video stream has no frame size")
+    }
+    if (requireVideo) {
+        await assertSourceDecodable(inputPath, "v:0", runtime)
+    } else if (decodeAudio && descriptor.audioStreams.length > 0) {
+        await assertSourceDecodable(inputPath, "a:0", runtime)
+    }
+}
+
+function formatSourceDescriptorLog(descriptor) {
+    const video = descriptor.video
+    const videoLog = video
+        ? `video=${video.codec || "?"} ${video.width}x${video.height} display=${video.displayWidth}x${video.displayHeight} rotation=${video.rotation} sar=${video.sampleAspectRatio || "1:1"} fps=${video.fps ? video.fps.toFixed(2) : "?"} interlaced=${video.interlaced} transfer=${video.colorTransfer || "?"} hdr=${video.hdr}`
+        : "video=none"
+    const audioLog = descriptor.audioStreams.length > 0
+        ? descriptor.audioStreams.map((stream) => `${stream.codec || "?"}/${stream.channels}ch/${stream.language}`).join(",")
+        : "none"
+    const subtitleLog = descriptor.subtitleStreams.length > 0
+        ? descriptor.subtitleStreams.map((stream) => `${stream.codec || "?"}/${stream.language}`).join(",")
+        : "none"
+    return `format=${descriptor.formatName || "?"} duration=${descriptor.durationSeconds.toFixed(1)}s ${videoLog} audio=${audioLog} subtitles=${subtitleLog}`
+}
+
+function resolvePerTitleForJob(job) {
+    const override = getEncodingMetadataFromJob(job).per_title
+    if (typeof override === "boolean") return override
+    if (typeof override === "string") return parseEnvBoolean(override, CONFIG.perTitle.enabled)
+    return CONFIG.perTitle.enabled
+}
+
+function computeAnalysisSampleTimes(durationSeconds, sampleCount, sampleSeconds) {
+    if (durationSeconds <= sampleCount * sampleSeconds) return [0]
+    // Evenly spread inside the title, away from intros and end cards at the very edges.
+    const times = []
+    for (let i = 0; i < sampleCount; i++) {
+        const center = (durationSeconds * (i + 1)) / (sampleCount + 1)
+        times.push(Math.max(0, Math.min(durationSeconds - sampleSeconds, center - sampleSeconds / 2)))
+    }
+    return times
+}
+
+/**
+ * Encodes a few short source samples with x264 at a fixed CRF and returns
+ * the bitrate that quality took at the probe resolution. Static slides
+ * come out at a fraction of what handheld footage needs. The result is
+ * kept in the work dir so a retry fits the identical ladder.
+ */
+async function analyzeContentComplexity({ inputPath, descriptor, workDir, runtime }) {
+    const sourceHeight = descriptor.video.displayHeight
+    const probeHeight = toEven(Math.min(CONFIG.perTitle.probeHeight, sourceHeight))
+    const probeWidth = toEven((probeHeight * descriptor.video.displayWidth) / sourceHeight)
+    const settings = {
+        crf: CONFIG.perTitle.probeCrf,
+        width: probeWidth,
+        height: probeHeight,
+        sampleCount: CONFIG.perTitle.sampleCount,
+        sampleSeconds: CONFIG.perTitle.sampleSeconds,
+        preset: CONFIG.ffmpegPreset,
+    }
+    const cachePath = path.join(workDir, CONTENT_ANALYSIS_FILE)
+    const cached = readJsonFile(cachePath)
+    if (cached && JSON.stringify(cached.settings) === JSON.stringify(settings)) {
+        return cached
+    }
+
+    const durationSeconds = descriptor.durationSeconds
+    const samplePath = path.join(workDir, "analysis-sample.mkv")
+    const threadBudget = resolveFfmpegThreadBudget()
+    let totalBytes = 0
+    let totalSeconds = 0
+    try {
+        for (const time of computeAnalysisSampleTimes(durationSeconds, settings.sampleCount, settings.sampleSeconds)) {
+            const seconds = Math.min(settings.sampleSeconds, durationSeconds - time)
+            if (!(seconds > 0)) continue
+            await runChildProcess("ffmpeg", [
+                "-nostats",
+                "-y",
+                "-ss",
+                time.toFixed(3),
+                "-t",
+                seconds.toFixed(3),
+                "-i",
+                inputPath,
+                "-an",
+                "-sn",
+                "-dn",
+                "-vf",
+                `scale=${probeWidth}:${probeHeight}`,
+                "-c:v",
+                "libx264",
+                "-preset",
+                settings.preset,
+                "-crf",
+                String(settings.crf),
+                ...(threadBudget > 0 ? ["-threads", String(threadBudget)] : []),
+                "-f",
+                "matroska",
+                samplePath,
+            ], { runtime, name: "ffmpeg analysis" })
+            totalBytes += fs.statSync(samplePath).size
+            totalSeconds += seconds
+        }
+    } finally {
+        fs.rmSync(samplePath, { force: true })
+    }
+    if (totalSeconds <= 0 || totalBytes <= 0) {
+        throw new Error("Content analysis produced no samples")
+    }
+
+    const analysis = {
+        settings,
+        sampled_seconds: Number(totalSeconds.toFixed(3)),
+        bitrate_bps: Math.round((totalBytes * 8) / totalSeconds),
+    }
+    writeJsonFile(cachePath, analysis)
+    return analysis
+}
+
+function formatKbps(bps) {
+    return `${Math.max(10, Math.round(bps / 10000) * 10)}k`
+}
+
+/**
+ * Refits rung bitrates to the probe result: the CRF bitrate is scaled to
+ * each rung's pixel count (exponent 0.75, bits grow slower than pixels)
+ * and codec efficiency, then clamped to the rung's bounds. maxrate and
+ * bufsize keep their configured ratio to bitrate. With allowDrop, a rung
+ * that would not be meaningfully cheaper than the rung above it (simple
+ * content pinned at the bitrate floor) is dropped; the top rung of each
+ * codec is always kept.
+ */
+function fitLadderToContent(qualities, analysis, { allowDrop }) {
+    const referencePixels = analysis.settings.width * analysis.settings.height
+    const fitted = qualities.map((quality) => {
+        const configuredBps = parseBitrateToBps(quality.bitrate)
+        const maxBps = parseBitrateToBps(quality.maxBitrate, (configuredBps * CONFIG.perTitle.maxBitratePercent) / 100)
+        const minBps = Math.min(maxBps, parseBitrateToBps(quality.minBitrate, parseBitrateToBps(CONFIG.perTitle.minBitrate)))
+        const efficiency = PER_TITLE_CODEC_EFFICIENCY[quality.codec] ?? 1
+        const neededBps = analysis.bitrate_bps
+            * Math.pow((quality.width * quality.height) / referencePixels, 0.75)
+            * efficiency
+        const bps = Math.min(maxBps, Math.max(minBps, neededBps))
+        const ratio = bps / configuredBps
+        let reason = `content needs ~${formatKbps(neededBps)}`
+        if (neededBps < minBps) reason += `, raised to min ${formatKbps(minBps)}`
+        if (neededBps > maxBps) reason += `, capped at max ${formatKbps(maxBps)}`
+        return {
+            quality: {
+                ...quality,
+                bitrate: formatKbps(bps),
+                maxrate: formatKbps(parseBitrateToBps(quality.maxrate, configuredBps) * ratio),
+                bufsize: formatKbps(parseBitrateToBps(quality.bufsize, configuredBps) * ratio),
+            },
+            bps,
+            decision: {
+                name: quality.name,
+                codec: quality.codec,
+                configured_bitrate: quality.bitrate,
+                bitrate: formatKbps(bps),
+                action: "kept",
+                reason,
+            },
+        }
+    })
+
+    if (allowDrop) {
+        for (const codec of VIDEO_CODEC_ORDER) {
+            const rungs = fitted.filter((entry) => entry.quality.codec === codec).reverse()
+            let above = null
+            for (const entry of rungs) {
+                if (above && entry.bps * CONFIG.perTitle.minStepPercent > above.bps * 100) {
+                    entry.decision.action = "dropped"
+                    entry.decision.reason += `, too close to ${above.quality.name} at ${above.decision.bitrate}`
+                    continue
+                }
+                above = entry
+            }
+        }
+    }
+
+    return {
+        qualities: fitted.filter((entry) => entry.decision.action !== "dropped").map((entry) => entry.quality),
+        rungs: fitted.map((entry) => entry.decision),
+    }
+}
+
+/**
+ * Picks the ladder for a job: requested rungs (or all), capped at the
+ * source height, then refitted to contentAnalysis when one is given.
+ * Returns the qualities plus a ladder record of what was chosen and why,
+ * reported with the completion.
+ */
+function selectQualitiesForJob(job, sourceVideoInfo, contentAnalysis = null) {
+    const configuredQualities = CONFIG.qualities
+    if (configuredQualities.length === 0) {
+        throw new Error("No encoder qualities configured")
+    }
+
+    const requested = Array.isArray(job.requested_qualities)
+        ? job.requested_qualities
+            .map((item) => normalizeQualityName(item))
+            .filter((item) => !!item && item !== "auto" && item !== SUBTITLE_ONLY_QUALITY_TOKEN)
+        : []
+    const requestedSet = new Set(requested)
+
+    let selected = configuredQualities.filter((quality) => {
+        if (requestedSet.size === 0) return true
+        return requestedSet.has(normalizeQualityName(quality.name))
+    })
+    if (selected.length === 0) selected = [...configuredQualities]
+
+    const sourceHeight = Number(sourceVideoInfo?.height)
+    if (Number.isFinite(sourceHeight) && sourceHeight > 0) {
+        const bounded = selected.filter((quality) => quality.height <= sourceHeight + 8)
+        if (bounded.length > 0) {
+            selected = bounded
+        } else {
+            selected = [selected[0]]
+        }
+    }
+    selected = sortQualitiesAscending(selected)
+
+    if (!contentAnalysis || contentAnalysis.error) {
+        return {
+            qualities: selected,
+            ladder: {
+                mode: "static",
+                reason: contentAnalysis?.error
+                    ? `content analysis failed: ${contentAnalysis.error}`
+                    : "per-title analysis disabled",
+                rungs: selected.map((quality) => ({
+                    name: quality.name,
+                    codec: quality.codec,
+                    configured_bitrate: quality.bitrate,
+                    bitrate: quality.bitrate,
+                    action: "kept",
+                })),
+            },
+        }
+    }
+
+    // Explicitly requested rungs are refitted but never dropped.
+    const fitted = fitLadderToContent(selected, contentAnalysis, { allowDrop: requestedSet.size === 0 })
+    return {
+        qualities: fitted.qualities,
+        ladder: {
+            mode: "per_title",
+            reason: `x264 CRF ${contentAnalysis.settings.crf} probe at ${contentAnalysis.settings.width}x${contentAnalysis.settings.height} averaged ${formatKbps(contentAnalysis.bitrate_bps)} over ${contentAnalysis.sampled_seconds}s`,
+            analysis: contentAnalysis,
+            rungs: fitted.rungs,
+        },
+    }
+}
+
+/**
+ * Per-output-stream encoder options for one ladder rung. x264/x265 share
+ * the preset names from ENCODER_FFMPEG_PRESET; AV1 encoders get av1Preset.
+ * SVT-AV1 only accepts maxrate in capped-CRF mode, so its ABR rungs run
+ * plain VBR. For "2pass" rungs, pass and passLogPrefix select the pass and
+ * where its stats live; both passes must use the same prefix.
+ */
+function buildVideoEncoderArgs(quality, index, keyint, { pass = null, passLogPrefix = null } = {}) {
+    const encoder = quality.encoder || "libx264"
+    const rateControl = quality.rateControl || "abr"
+    const maxrate = quality.maxrate || quality.bitrate
+    const bufsize = quality.bufsize || quality.maxrate || quality.bitrate
+    const args = [`-c:v:${index}`, encoder]
+    if (rateControl === "crf") {
+        args.push(`-crf:v:${index}`, String(quality.crf))
+        // libaom reads -b:v as the ceiling of constrained-quality mode.
+        if (encoder === "libaom-av1") args.push(`-b:v:${index}`, maxrate)
+        args.push(`-maxrate:v:${index}`, maxrate, `-bufsize:v:${index}`, bufsize)
+    } else {
+        args.push(`-b:v:${index}`, quality.bitrate)
+        if (encoder !== "libsvtav1") {
+            args.push(`-maxrate:v:${index}`, maxrate, `-bufsize:v:${index}`, bufsize)
+        }
+    }
+    const usePasses = rateControl === "2pass" && pass !== null
+    if (usePasses && encoder !== "libx265") {
+        args.push(`-pass:v:${index}`, String(pass), `-passlogfile:v:${index}`, passLogPrefix)
+    }
+    if (encoder === "libx264") {
+        args.push(`-preset:v:${index}`, CONFIG.ffmpegPreset)
+        if (quality.tune) args.push(`-tune:v:${index}`, quality.tune)
+    } else if (encoder === "libx265") {
+        // ffmpeg's -pass is not wired to libx265; its stats file goes through x265-params.
+        const passParams = usePasses ? `:pass=${pass}:stats=${passLogPrefix}.log` : ""
+        args.push(
+            `-preset:v:${index}`,
+            CONFIG.ffmpegPreset,
+            // hvc1 (parameter sets in the sample entry) is the tag Apple players require.
+            `-tag:v:${index}`,
+            "hvc1",
+            `-x265-params:v:${index}`,
+            `keyint=${keyint}:min-keyint=${keyint}:scenecut=0:open-gop=0:log-level=warning${passParams}`,
+        )
+    } else if (encoder === "libsvtav1") {
+        args.push(`-preset:v:${index}`, String(Math.min(13, CONFIG.av1Preset)))
+    } else if (encoder === "libaom-av1") {
+        args.push(`-cpu-used:v:${index}`, String(Math.min(8, CONFIG.av1Preset)), `-row-mt:v:${index}`, "1")
+    }
+    return args
+}
+
+// Labels stay [v<ladder index>] even when `only` skips rungs, so both passes map by the same index.
+function buildScaleFilter(qualities, { only = null } = {}) {
+    return qualities
+        .map((quality, index) => ({ quality, index }))
+        .filter(({ quality }) => !only || only(quality))
+        .map(({ quality, index }) => `[0:v]scale=w=${quality.width}:h=${quality.height}:force_original_aspect_ratio=decrease,pad=ceil(iw/2)*2:ceil(ih/2)*2[v${index}]`)
+        .join(";")
+}
+
+function buildKeyframeArgs(keyint, segmentDurationSeconds, streamSpecifier = null) {
+    const suffix = streamSpecifier ? `:${streamSpecifier}` : ""
+    return [
+        `-g${suffix}`,
+        String(keyint),
+        `-keyint_min${suffix}`,
+        String(keyint),
+        `-sc_threshold${suffix}`,
+        "0",
+        `-force_key_frames${suffix}`,
+        `expr:gte(t,n_forced*${segmentDurationSeconds})`,
+    ]
+}
+
+/**
+ * First pass for the "2pass" rungs, output discarded. ffmpeg names stats
+ * files PREFIX-<output stream index>, so the stream layout must match the
+ * second pass exactly: every rung and muxed audio track is mapped in the
+ * same order, with the rungs not being analysed stream-copied from the
+ * source to hold their index at almost no cost.
+ */
+async function runFirstPass({ inputPath, qualities, keyint, segmentDurationSeconds, muxedAudio, passLogDir, runtime, onProgress }) {
+    const isTwoPass = (quality) => quality.rateControl === "2pass"
+    const ffmpegArgs = ["-nostats", "-y", "-i", inputPath, "-filter_complex", buildScaleFilter(qualities, { only: isTwoPass })]
+    if (onProgress) {
+        ffmpegArgs.unshift("-progress", "pipe:1")
+    }
+    const threadBudget = resolveFfmpegThreadBudget()
+    if (threadBudget > 0) {
+        ffmpegArgs.push("-threads", String(threadBudget))
+    }
+    qualities.forEach((quality, index) => {
+        if (isTwoPass(quality)) {
+            ffmpegArgs.push("-map", `[v${index}]`)
+            ffmpegArgs.push(...buildVideoEncoderArgs(quality, index, keyint, {
+                pass: 1,
+                passLogPrefix: path.join(passLogDir, quality.name),
+            }))
+            ffmpegArgs.push(...buildKeyframeArgs(keyint, segmentDurationSeconds, `v:${index}`))
+        } else {
+            ffmpegArgs.push("-map", "0:v:0", `-c:v:${index}`, "copy")
+        }
+        if (muxedAudio) {
+            ffmpegArgs.push("-map", "0:a:0", `-c:a:${index}`, "copy")
+        }
+    })
+    ffmpegArgs.push("-f", "null", "-")
+    await runChildProcess("ffmpeg", ffmpegArgs, {
+        runtime,
+        name: "ffmpeg pass1",
+        onStdoutLine: onProgress ? createFfmpegProgressParser(onProgress) : undefined,
+    })
+}
+
+async function transcodeToHls({
+    inputPath,
+    outputDir,
     qualities,
     fps = 30,
     hasAudio = true,
+    runtime,
+    onProgress,
 }) {
     const segmentDurationSeconds = CONFIG.segmentDurationSeconds
-    const isFmp4Segments = CONFIG.hlsSegmentType === "fmp4"
+    // HEVC and AV1 are only specified for HLS in fMP4 (CMAF) segments, so any such rung switches the whole output.
+    const segmentType = qualities.some((quality) => (quality.codec || "h264") !== "h264") ? "fmp4" : CONFIG.hlsSegmentType
+    if (segmentType !== CONFIG.hlsSegmentType) {
+        log("Ladder contains HEVC/AV1 rungs, writing fMP4 segments", "info", runtime?.logContext)
+    }
+    const isFmp4Segments = segmentType === "fmp4"
     const useSharedAudioTrack = hasAudio && CONFIG.hlsSharedAudioTrack
+    // Muxed ladders have no audio rendition to point at, so the fallback variant gets its own.
+    const muxedAudioOnlyVariant = hasAudio && !useSharedAudioTrack && CONFIG.hlsAudioOnlyVariant
     const segmentExtension = isFmp4Segments ? "m4s" : "ts"
     const keyint = Math.max(24, Math.round(fps * segmentDurationSeconds))
     ensureDir(outputDir)
 
-    let filterComplex = ""
-    qualities.forEach((quality, index) => {
-        filterComplex += `[0:v]scale=w=${quality.width}:h=${quality.height}:force_original_aspect_ratio=decrease,pad=ceil(iw/2)*2:ceil(ih/2)*2[v${index}];`
-    })
-    filterComplex = filterComplex.slice(0, -1)
+    // Pass logs sit next to the output dir, never inside it, so they are not uploaded.
+    const passLogDir = path.join(path.dirname(outputDir), "passlog")
+    const twoPassQualities = qualities.filter((quality) => quality.rateControl === "2pass")
+    const passCount = twoPassQualities.length > 0 ? 2 : 1
+    if (twoPassQualities.length > 0) {
+        cleanDir(passLogDir)
+        ensureDir(passLogDir)
+        log(
+            `Running first pass for ${twoPassQualities.map((quality) => quality.name).join(",")}`,
+            "info",
+            runtime?.logContext,
+        )
+        await runFirstPass({
+            inputPath,
+            qualities,
+            keyint,
+            segmentDurationSeconds,
+            muxedAudio: hasAudio && !useSharedAudioTrack,
+            passLogDir,
+            runtime,
+            onProgress: onProgress ? (snapshot) => onProgress({ ...snapshot, pass: 1, passCount }) : undefined,
+        })
+    }
 
-    const ffmpegArgs = ["-i", inputPath, "-filter_complex", filterComplex]
+    const ffmpegArgs = ["-i", inputPath, "-filter_complex", buildScaleFilter(qualities)]
+    if (onProgress) {
+        ffmpegArgs.unshift("-progress", "pipe:1", "-nostats")
+    }
+    const threadBudget = resolveFfmpegThreadBudget()
+    if (threadBudget > 0) {
+        ffmpegArgs.push("-threads", String(threadBudget))
+    }
     qualities.forEach((quality, index) => {
         ffmpegArgs.push("-map", `[v${index}]`)
         if (!useSharedAudioTrack && hasAudio) {
             ffmpegArgs.push("-map", "0:a:0")
         }
-        ffmpegArgs.push(
-            `-c:v:${index}`,
-            "libx264",
-            `-b:v:${index}`,
-            quality.bitrate,
-            `-maxrate:v:${index}`,
-            quality.maxrate || quality.bitrate,
-            `-bufsize:v:${index}`,
-            quality.bufsize || quality.maxrate || quality.bitrate,
-            `-preset:v:${index}`,
-            CONFIG.ffmpegPreset,
-        )
+        ffmpegArgs.push(...buildVideoEncoderArgs(quality, index, keyint, {
+            pass: quality.rateControl === "2pass" ? 2 : null,
+            passLogPrefix: path.join(passLogDir, quality.name),
+        }))
         if (!useSharedAudioTrack && hasAudio) {
             ffmpegArgs.push(
                 `-c:a:${index}`,
@@ -806,6 +2887,22 @@ async function transcodeToHls({
             CONFIG.hlsSharedAudioBitrate,
         )
     }
+    // Appended after every rung so the first-pass stream layout (and its stats file names) still matches.
+    if (muxedAudioOnlyVariant) {
+        const audioIndex = qualities.length
+        ffmpegArgs.push(
+            "-map",
+            "0:a:0",
+            `-c:a:${audioIndex}`,
+            "aac",
+            `-ac:a:${audioIndex}`,
+            "2",
+            `-ar:a:${audioIndex}`,
+            "48000",
+            `-b:a:${audioIndex}`,
+            CONFIG.hlsSharedAudioBitrate,
+        )
+    }
 
     const streamMap = (() => {
         if (useSharedAudioTrack) {
@@ -814,25 +2911,20 @@ async function transcodeToHls({
             return [...videoStreams, audioStream].join(" ")
         }
 
-        return qualities
-            .map((quality, index) => {
-                if (hasAudio) {
-                    return `v:${index},a:${index},name:${quality.name}`
-                }
-                return `v:${index},name:${quality.name}`
-            })
-            .join(" ")
+        const variantStreams = qualities.map((quality, index) => {
+            if (hasAudio) {
+                return `v:${index},a:${index},name:${quality.name}`
+            }
+            return `v:${index},name:${quality.name}`
+        })
+        if (muxedAudioOnlyVariant) {
+            variantStreams.push(`a:${qualities.length},name:${AUDIO_ONLY_RENDITION}`)
+        }
+        return variantStreams.join(" ")
     })()
 
     ffmpegArgs.push(
-        "-g",
-        String(keyint),
-        "-keyint_min",
-        String(keyint),
-        "-sc_threshold",
-        "0",
-        "-force_key_frames",
-        `expr:gte(t,n_forced*${segmentDurationSeconds})`,
+        ...buildKeyframeArgs(keyint, segmentDurationSeconds),
         "-f",
         "hls",
         "-hls_time",
@@ -842,7 +2934,7 @@ async function transcodeToHls({
         "-hls_flags",
         "independent_segments",
         "-hls_segment_type",
-        CONFIG.hlsSegmentType,
+        segmentType,
     )
     if (isFmp4Segments) {
         ffmpegArgs.push(
@@ -862,40 +2954,545 @@ async function transcodeToHls({
     if (useSharedAudioTrack) {
         ensureDir(path.join(outputDir, "audio"))
     }
+    if (muxedAudioOnlyVariant) {
+        ensureDir(path.join(outputDir, AUDIO_ONLY_RENDITION))
+    }
 
-    await new Promise((resolve, reject) => {
-        const ffmpeg = spawn("ffmpeg", ffmpegArgs, { stdio: "inherit" })
-        ffmpeg.on("close", (code) => {
-            if (code === 0) resolve()
-            else reject(new Error(`ffmpeg exited with code ${code}`))
-        })
-        ffmpeg.on("error", (error) => reject(error))
+    await runChildProcess("ffmpeg", ffmpegArgs, {
+        runtime,
+        name: "ffmpeg",
+        onStdoutLine: onProgress
+            ? createFfmpegProgressParser((snapshot) => onProgress({ ...snapshot, pass: passCount, passCount }))
+            : undefined,
+    })
+    if (twoPassQualities.length > 0) {
+        cleanDir(passLogDir)
+    }
+
+    await writeMasterPlaylist({
+        outputDir,
+        qualities,
+        fps,
+        hasAudio,
+        useSharedAudioTrack,
+        isFmp4Segments,
+        runtime,
     })
+}
+
+const H264_PROFILE_CODEC_PREFIXES = {
+    "constrained baseline": "42E0",
+    baseline: "42E0",
+    main: "4D40",
+    extended: "5800",
+    high: "6400",
+    "high 10": "6E00",
+    "high 4:2:2": "7A00",
+    "high 4:4:4 predictive": "F400",
+}
+const AAC_PROFILE_OBJECT_TYPES = {
+    lc: 2,
+    "he-aac": 5,
+    "he-aacv2": 29,
+}
+
+/**
+ * RFC 6381 codec string for a probed stream, or null when the codec is one
+ * we do not know how to describe (the attribute is then left out).
+ */
+function buildCodecString(stream) {
+    if (!stream) return null
+    const codecName = String(stream.codec_name || "").toLowerCase()
+    const profile = String(stream.profile || "").toLowerCase()
+    if (codecName === "h264") {
+        const prefix = H264_PROFILE_CODEC_PREFIXES[profile]
+        const level = Number(stream.level)
+        if (!prefix || !Number.isFinite(level) || level <= 0) return null
+        return `avc1.${prefix}${level.toString(16).toUpperCase().padStart(2, "0")}`
+    }
+    if (codecName === "hevc") {
+        const level = Number(stream.level)
+        if (!Number.isFinite(level) || level <= 0) return null
+        // Main and Main 10 with the usual compatibility flags; x265 encodes Main tier.
+        return profile.includes("10") ? `hvc1.2.4.L${level}.B0` : `hvc1.1.6.L${level}.B0`
+    }
+    if (codecName === "av1") {
+        const profileIndex = { main: 0, high: 1, professional: 2 }[profile] ?? 0
+        const width = Number(stream.width)
+        const height = Number(stream.height)
+        const level = Number(stream.level) >= 0 && Number(stream.level) < 32
+            ? Number(stream.level)
+            : estimateAv1LevelIndex(width, height, parseFrameRate(stream.avg_frame_rate) || 30)
+        const bitDepth = /10/.test(String(stream.pix_fmt || "")) ? "10" : "08"
+        return `av01.${profileIndex}.${String(level).padStart(2, "0")}M.${bitDepth}`
+    }
+    if (codecName === "aac") {
+        return `mp4a.40.${AAC_PROFILE_OBJECT_TYPES[profile] || 2}`
+    }
+    return null
+}
+
+// seq_level_idx from the AV1 spec's level limits (max picture size, then display rate).
+function estimateAv1LevelIndex(width, height, fps) {
+    const pixels = (Number(width) || 1920) * (Number(height) || 1080)
+    const highFps = fps > 30
+    if (pixels <= 426 * 240) return 0
+    if (pixels <= 640 * 360) return 1
+    if (pixels <= 854 * 480) return 4
+    if (pixels <= 1280 * 720) return 5
+    if (pixels <= 1920 * 1080) return highFps ? 9 : 8
+    if (pixels <= 3840 * 2160) return highFps ? 13 : 12
+    return highFps ? 17 : 16
+}
+
+/**
+ * Codec string from the ladder alone, used when probing the output failed.
+ * HEVC/AV1 variants must never go out without CODECS or H.264-only players would pick them.
+ */
+function buildNominalVideoCodecString(quality, fps) {
+    const codec = quality.codec || "h264"
+    if (codec === "hevc") {
+        const pixels = quality.width * quality.height
+        const level = pixels <= 1280 * 720 ? 93 : pixels <= 1920 * 1080 ? 120 : 150
+        return `hvc1.1.6.L${level}.B0`
+    }
+    if (codec === "av1") {
+        return `av01.0.${String(estimateAv1LevelIndex(quality.width, quality.height, fps)).padStart(2, "0")}M.08`
+    }
+    return null
+}
+
+/**
+ * Probes an encoded rendition through its own playlist, so fMP4 init
+ * segments and TS segments are handled alike. Returns null if ffprobe fails;
+ * the master playlist then falls back to the ladder's nominal values.
+ */
+async function probeHlsRendition(renditionDir, runtime) {
+    const lines = []
+    let streams
+    try {
+        await runChildProcess(
+            "ffprobe",
+            ["-v", "error", "-show_streams", "-of", "json", path.join(renditionDir, "playlist.m3u8")],
+            { runtime, name: "ffprobe rendition", onStdoutLine: (line) => lines.push(line) },
+        )
+        streams = JSON.parse(lines.join("\n")).streams || []
+    } catch (error) {
+        throwIfJobAborted(runtime)
+        const message = error instanceof Error ? error.message : String(error)
+        log(`Could not probe rendition ${path.basename(renditionDir)}: ${message}`, "warn", runtime?.logContext)
+        return null
+    }
+    const video = streams.find((stream) => stream.codec_type === "video")
+    const audio = streams.find((stream) => stream.codec_type === "audio")
+    return {
+        width: parseOptionalNumber(video?.width),
+        height: parseOptionalNumber(video?.height),
+        fps: parseFrameRate(video?.avg_frame_rate) || parseFrameRate(video?.r_frame_rate),
+        videoCodec: buildCodecString(video),
+        audioCodec: buildCodecString(audio),
+    }
+}
+
+function formatStreamInfAttributes({ peak, average, codecs, width, height, fps, name, audioGroup }) {
+    const attributes = [`BANDWIDTH=${Math.max(1, Math.round(peak))}`]
+    if (average > 0) attributes.push(`AVERAGE-BANDWIDTH=${Math.round(average)}`)
+    const codecList = codecs.filter((codec) => !!codec)
+    // A partial CODECS list is worse than none: players would reject the missing codec.
+    if (codecList.length > 0 && codecList.length === codecs.length) attributes.push(`CODECS="${codecList.join(",")}"`)
+    if (width && height) attributes.push(`RESOLUTION=${width}x${height}`)
+    if (fps) attributes.push(`FRAME-RATE=${fps.toFixed(3)}`)
+    attributes.push(`NAME="${name}"`)
+    if (audioGroup) attributes.push(`AUDIO="${audioGroup}"`)
+    return attributes.join(",")
+}
 
-    let masterPlaylist = `#EXTM3U\n#EXT-X-VERSION:${isFmp4Segments ? 7 : 3}\n`
-    const sharedAudioBitrate = parseBitrateToBps(CONFIG.hlsSharedAudioBitrate, parseBitrateToBps("96k", 96000))
+/**
+ * Builds master.m3u8 from what ffmpeg actually wrote: real dimensions and
+ * codec strings from ffprobe, BANDWIDTH from the peak segment bitrate and
+ * AVERAGE-BANDWIDTH from total segment bytes over duration. With a shared
+ * audio group, the audio rendition's bitrate is added to every variant.
+ * The audio-only fallback variant points at the shared audio rendition, or
+ * at the separate AUDIO_ONLY_RENDITION when audio is muxed into each rung.
+ */
+async function writeMasterPlaylist({ outputDir, qualities, fps, hasAudio, useSharedAudioTrack, isFmp4Segments, runtime }) {
+    let masterPlaylist = `#EXTM3U\n#EXT-X-VERSION:${isFmp4Segments ? 7 : 3}\n#EXT-X-INDEPENDENT-SEGMENTS\n`
+    const nominalAudioBitrate = parseBitrateToBps(CONFIG.hlsSharedAudioBitrate, parseBitrateToBps("96k", 96000))
+
+    let sharedAudio = null
     if (useSharedAudioTrack) {
+        const audioDir = path.join(outputDir, "audio")
+        const measured = measureHlsRendition(audioDir)
+        const probed = await probeHlsRendition(audioDir, runtime)
+        sharedAudio = {
+            peak: measured?.peakBitrate || nominalAudioBitrate,
+            average: measured?.averageBitrate || 0,
+            codec: probed?.audioCodec || "mp4a.40.2",
+        }
         masterPlaylist += `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="Default",LANGUAGE="und",DEFAULT=YES,AUTOSELECT=YES,URI="audio/playlist.m3u8"\n`
     }
 
-    qualities.forEach((quality) => {
-        const videoBitrate = parseBitrateToBps(quality.bitrate, 0)
-        const audioBitrate = useSharedAudioTrack
-            ? sharedAudioBitrate
+    for (const quality of qualities) {
+        const renditionDir = path.join(outputDir, quality.name)
+        const measured = measureHlsRendition(renditionDir)
+        const probed = await probeHlsRendition(renditionDir, runtime)
+        const nominalAudio = useSharedAudioTrack
+            ? 0
             : hasAudio
                 ? parseBitrateToBps(quality.audioBitrate || "96k", parseBitrateToBps("96k", 96000))
+                : 0
+        // Muxed renditions already carry their audio in the measured segment sizes.
+        const peak = (measured?.peakBitrate || parseBitrateToBps(quality.maxrate || quality.bitrate, 0) + nominalAudio)
+            + (sharedAudio?.peak || 0)
+        const average = measured?.averageBitrate
+            ? measured.averageBitrate + (sharedAudio?.average || 0)
             : 0
-        const bandwidth = Math.max(1, videoBitrate + audioBitrate)
-        if (useSharedAudioTrack) {
-            masterPlaylist += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${quality.width}x${quality.height},NAME="${quality.name}",AUDIO="audio"\n`
-        } else {
-            masterPlaylist += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${quality.width}x${quality.height},NAME="${quality.name}"\n`
+        const codecs = [probed?.videoCodec || buildNominalVideoCodecString(quality, fps)]
+        if (sharedAudio) {
+            codecs.push(sharedAudio.codec)
+        } else if (hasAudio) {
+            codecs.push(probed?.audioCodec || null)
         }
-        masterPlaylist += `${quality.name}/playlist.m3u8\n`
-    })
+        const attributes = formatStreamInfAttributes({
+            peak,
+            average,
+            codecs,
+            width: probed?.width || quality.width,
+            height: probed?.height || quality.height,
+            fps: probed?.fps || fps,
+            name: quality.name,
+            audioGroup: sharedAudio ? "audio" : null,
+        })
+        masterPlaylist += `#EXT-X-STREAM-INF:${attributes}\n${quality.name}/playlist.m3u8\n`
+    }
+
+    // Listed last so players never start on it; they only fall back to it when no video variant fits.
+    if (sharedAudio && CONFIG.hlsAudioOnlyVariant) {
+        const attributes = formatStreamInfAttributes({
+            peak: sharedAudio.peak,
+            average: sharedAudio.average,
+            codecs: [sharedAudio.codec],
+            name: "audio",
+        })
+        masterPlaylist += `#EXT-X-STREAM-INF:${attributes}\naudio/playlist.m3u8\n`
+    } else if (!useSharedAudioTrack && hasAudio && CONFIG.hlsAudioOnlyVariant) {
+        const audioOnlyDir = path.join(outputDir, AUDIO_ONLY_RENDITION)
+        const measured = measureHlsRendition(audioOnlyDir)
+        const probed = await probeHlsRendition(audioOnlyDir, runtime)
+        const attributes = formatStreamInfAttributes({
+            peak: measured?.peakBitrate || nominalAudioBitrate,
+            average: measured?.averageBitrate || 0,
+            codecs: [probed?.audioCodec || "mp4a.40.2"],
+            name: "audio",
+        })
+        masterPlaylist += `#EXT-X-STREAM-INF:${attributes}\n${AUDIO_ONLY_RENDITION}/playlist.m3u8\n`
+    }
     fs.writeFileSync(path.join(outputDir, "master.m3u8"), masterPlaylist)
 }
 
+function resolveEncryptionForJob(job) {
+    const override = getEncodingMetadataFromJob(job).encryption
+    let mode = CONFIG.encryption.mode
+    if (override === true) {
+        mode = "aes-128"
+    } else if (override === false) {
+        mode = "none"
+    } else if (typeof override === "string") {
+        try {
+            mode = parseEncryptionMode(override)
+        } catch (error) {
+            throw createJobError({
+                code: "ENCRYPTION_UNSUPPORTED",
+                stage: JOB_STAGES.transcode,
+                message: `Job requests unsupported encryption "${override}" (supported: none, aes-128)`,
+                retryable: false,
+                cause: error,
+            })
+        }
+    }
+    if (mode === "none") return null
+    if (!CONFIG.encryption.keyUriTemplate) {
+        throw createJobError({
+            code: "ENCRYPTION_NOT_CONFIGURED",
+            stage: JOB_STAGES.transcode,
+            message: "Job requests HLS encryption but ENCODER_HLS_KEY_URI_TEMPLATE is not set",
+            retryable: false,
+        })
+    }
+    return {
+        method: "AES-128",
+        keyUriTemplate: CONFIG.encryption.keyUriTemplate,
+        rotationSegments: CONFIG.encryption.rotationSegments,
+    }
+}
+
+function buildKeyUri(template, { job, keyId }) {
+    return template
+        .replace(/\{content_item_id\}/g, encodeURIComponent(String(job.content_item_id)))
+        .replace(/\{job_id\}/g, encodeURIComponent(String(job.id)))
+        .replace(/\{key_id\}/g, encodeURIComponent(keyId))
+}
+
+function sequenceNumberIv(sequence) {
+    const iv = Buffer.alloc(16)
+    iv.writeBigUInt64BE(BigInt(sequence), 8)
+    return iv
+}
+
+async function encryptSegmentFile(filePath, key, iv, signal) {
+    const tempPath = `${filePath}.enc`
+    await pipeline(
+        fs.createReadStream(filePath),
+        crypto.createCipheriv("aes-128-cbc", key, iv),
+        fs.createWriteStream(tempPath),
+        { signal },
+    )
+    await fs.promises.rename(tempPath, filePath)
+}
+
+/**
+ * Encrypts every media segment of the finished HLS output in place with
+ * AES-128-CBC and inserts #EXT-X-KEY tags into the media playlists. The IV
+ * is left implicit (the segment's media sequence number), init segments stay
+ * clear, and with rotation every group of N segments gets its own key,
+ * shared across renditions. Keys are persisted to the work dir first so a
+ * retry that reuses this output can register the same keys. Segments are
+ * streamed through the cipher one at a time so heartbeats and other jobs
+ * keep running during a long title.
+ */
+async function encryptHlsOutput({ job, outputDir, workDir, settings, runtime }) {
+    const keys = []
+    const keyForGroup = (group) => {
+        while (keys.length <= group) {
+            const keyId = crypto.randomUUID()
+            keys.push({
+                keyId,
+                keyHex: crypto.randomBytes(16).toString("hex"),
+                uri: buildKeyUri(settings.keyUriTemplate, { job, keyId }),
+            })
+        }
+        return keys[group]
+    }
+
+    const renditionDirs = fs.readdirSync(outputDir)
+        .map((entry) => path.join(outputDir, entry))
+        .filter((dir) => fs.existsSync(path.join(dir, "playlist.m3u8")))
+    const plans = renditionDirs.map((dir) => {
+        const lines = fs.readFileSync(path.join(dir, "playlist.m3u8"), "utf8").split(/\r?\n/)
+        const sequenceLine = lines.find((line) => line.startsWith("#EXT-X-MEDIA-SEQUENCE:"))
+        const mediaSequence = sequenceLine ? Number.parseInt(sequenceLine.split(":")[1], 10) || 0 : 0
+        const segmentCount = lines.filter((line) => line.trim() && !line.startsWith("#")).length
+        const groupCount = settings.rotationSegments > 0 ? Math.ceil(segmentCount / settings.rotationSegments) : 1
+        for (let group = 0; group < groupCount; group += 1) keyForGroup(group)
+        return { dir, lines, mediaSequence }
+    })
+    writeJsonFile(path.join(workDir, HLS_KEYS_FILE), keys)
+
+    for (const { dir, lines, mediaSequence } of plans) {
+        const output = []
+        let segmentIndex = 0
+        let currentGroup = -1
+        let segmentHeaderIndex = -1
+        for (const line of lines) {
+            if (line.startsWith("#EXTINF:") && segmentHeaderIndex === -1) {
+                segmentHeaderIndex = output.length
+            }
+            if (line.trim() && !line.startsWith("#")) {
+                const group = settings.rotationSegments > 0 ? Math.floor(segmentIndex / settings.rotationSegments) : 0
+                const key = keys[group]
+                if (group !== currentGroup) {
+                    const insertAt = segmentHeaderIndex === -1 ? output.length : segmentHeaderIndex
+                    output.splice(insertAt, 0, `#EXT-X-KEY:METHOD=AES-128,URI="${key.uri}"`)
+                    currentGroup = group
+                }
+                throwIfJobAborted(runtime)
+                await encryptSegmentFile(
+                    path.join(dir, line.trim()),
+                    Buffer.from(key.keyHex, "hex"),
+                    sequenceNumberIv(mediaSequence + segmentIndex),
+                    runtime?.signal,
+                )
+                segmentIndex += 1
+                segmentHeaderIndex = -1
+            }
+            output.push(line)
+        }
+        fs.writeFileSync(path.join(dir, "playlist.m3u8"), output.join("\n"))
+    }
+    return keys
+}
+
+function toEven(value) {
+    return Math.max(2, Math.round(value / 2) * 2)
+}
+
+function resolveFrameSize(descriptor, maxWidth) {
+    const sourceWidth = descriptor.video?.displayWidth || maxWidth
+    const sourceHeight = descriptor.video?.displayHeight || Math.round((maxWidth * 9) / 16)
+    const width = toEven(Math.min(maxWidth, sourceWidth))
+    return { width, height: toEven((width * sourceHeight) / sourceWidth) }
+}
+
+function formatVttTimestamp(totalSeconds) {
+    const totalMs = Math.max(0, Math.round(totalSeconds * 1000))
+    const hours = Math.floor(totalMs / 3600000)
+    const minutes = Math.floor((totalMs % 3600000) / 60000)
+    const seconds = Math.floor((totalMs % 60000) / 1000)
+    const ms = totalMs % 1000
+    const pad = (value, width = 2) => String(value).padStart(width, "0")
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms, 3)}`
+}
+
+/**
+ * One decode pass that samples a frame every intervalSeconds, packs them
+ * into columns x rows sprite sheets and reports each sample's timestamp
+ * and mean luma (via signalstats printed on stdout) for poster selection.
+ */
+async function generateTimelineSprites({ inputPath, outputDir, descriptor, runtime }) {
+    const settings = CONFIG.thumbnails
+    const tile = resolveFrameSize(descriptor, settings.width)
+    const spriteDir = path.join(outputDir, THUMBNAIL_SPRITE_DIR)
+    cleanDir(spriteDir)
+    ensureDir(spriteDir)
+
+    const samples = []
+    const filter = [
+        `fps=1/${settings.intervalSeconds}`,
+        `scale=${tile.width}:${tile.height},setsar=1,format=yuv420p`,
+        "signalstats",
+        "metadata=mode=print:file=-",
+        `tile=${settings.columns}x${settings.rows}`,
+    ].join(",")
+    await runChildProcess("ffmpeg", [
+        "-nostats",
+        "-i",
+        inputPath,
+        "-an",
+        "-sn",
+        "-vf",
+        filter,
+        "-fps_mode",
+        "vfr",
+        "-q:v",
+        "4",
+        path.join(spriteDir, "sprite_%03d.jpg"),
+    ], {
+        runtime,
+        name: "ffmpeg thumbnails",
+        onStdoutLine: (line) => {
+            const frameMatch = line.match(/pts_time:([\d.]+)/)
+            if (frameMatch) {
+                samples.push({ time: Number.parseFloat(frameMatch[1]), luma: null })
+                return
+            }
+            const lumaMatch = line.match(/lavfi\.signalstats\.YAVG=([\d.]+)/)
+            if (lumaMatch && samples.length > 0) {
+                samples[samples.length - 1].luma = Number.parseFloat(lumaMatch[1])
+            }
+        },
+    })
+    return { samples, tile }
+}
+
+function buildThumbnailsVtt(samples, tile, durationSeconds) {
+    const { columns, rows, intervalSeconds } = CONFIG.thumbnails
+    const perSprite = columns * rows
+    let vtt = "WEBVTT\n"
+    samples.forEach((sample, index) => {
+        const next = samples[index + 1]
+        const end = next ? next.time : Math.max(sample.time + 0.001, durationSeconds || sample.time + intervalSeconds)
+        const position = index % perSprite
+        const x = (position % columns) * tile.width
+        const y = Math.floor(position / columns) * tile.height
+        const sprite = `sprite_${String(Math.floor(index / perSprite) + 1).padStart(3, "0")}.jpg`
+        vtt += `\n${formatVttTimestamp(sample.time)} --> ${formatVttTimestamp(end)}\n`
+        vtt += `${THUMBNAIL_SPRITE_DIR}/${sprite}#xywh=${x},${y},${tile.width},${tile.height}\n`
+    })
+    return vtt
+}
+
+/**
+ * Prefers the first well-exposed sample between 10% and 50% of the running
+ * time (past intros and fades, before spoilers); falls back to the sample
+ * closest to mid-grey anywhere in the video.
+ */
+function pickPosterTime(samples, durationSeconds) {
+    const { posterMinLuma, posterMaxLuma } = CONFIG.thumbnails
+    const exposed = (sample) => Number.isFinite(sample.luma) && sample.luma >= posterMinLuma && sample.luma <= posterMaxLuma
+    const windowStart = durationSeconds * 0.1
+    const windowEnd = durationSeconds * 0.5
+    const preferred = samples.find((sample) => sample.time >= windowStart && sample.time <= windowEnd && exposed(sample))
+    if (preferred) return preferred.time
+
+    const measured = samples.filter((sample) => Number.isFinite(sample.luma))
+    if (measured.length > 0) {
+        const distance = (sample) => Math.abs(sample.luma - 128)
+        return measured.reduce((best, sample) => (distance(sample) < distance(best) ? sample : best)).time
+    }
+    return windowStart
+}
+
+async function generatePoster({ inputPath, outputPath, time, descriptor, runtime }) {
+    const size = resolveFrameSize(descriptor, CONFIG.thumbnails.posterWidth)
+    const fps = descriptor.video?.fps || 25
+    const encoderArgs = CONFIG.thumbnails.posterFormat === "webp"
+        ? ["-c:v", "libwebp", "-quality", "85"]
+        : ["-q:v", "2"]
+    await runChildProcess("ffmpeg", [
+        "-nostats",
+        "-y",
+        "-ss",
+        time.toFixed(3),
+        "-i",
+        inputPath,
+        "-an",
+        "-sn",
+        // thumbnail= picks the most representative frame of the next ~2s, dodging blurry transition frames.
+        "-vf",
+        `thumbnail=${Math.max(2, Math.round(fps * 2))},scale=${size.width}:${size.height},setsar=1`,
+        "-frames:v",
+        "1",
+        ...encoderArgs,
+        outputPath,
+    ], { runtime, name: "ffmpeg poster" })
+}
+
+/**
+ * Writes the poster, timeline sprite sheets and thumbs.vtt into the HLS
+ * output dir so they are uploaded with the rest of the output.
+ * Returns the output-relative file names.
+ */
+async function generateVisualAssets({ inputPath, outputDir, descriptor, runtime }) {
+    const posterFile = `poster.${CONFIG.thumbnails.posterFormat}`
+    const vttPath = path.join(outputDir, THUMBNAILS_VTT_FILE)
+    if (fs.existsSync(vttPath) && fs.existsSync(path.join(outputDir, posterFile))) {
+        log("Reusing poster and thumbnails from a previous attempt", "info", runtime?.logContext)
+        return { posterFile, vttFile: THUMBNAILS_VTT_FILE }
+    }
+    fs.rmSync(vttPath, { force: true })
+
+    const durationSeconds = descriptor.durationSeconds
+    const { samples, tile } = await generateTimelineSprites({ inputPath, outputDir, descriptor, runtime })
+    if (samples.length === 0) {
+        throw new Error("Thumbnail pass produced no frames")
+    }
+    const posterTime = pickPosterTime(samples, durationSeconds)
+    await generatePoster({
+        inputPath,
+        outputPath: path.join(outputDir, posterFile),
+        time: posterTime,
+        descriptor,
+        runtime,
+    })
+    fs.writeFileSync(vttPath, buildThumbnailsVtt(samples, tile, durationSeconds))
+    log(
+        `Generated ${samples.length} timeline thumbnail(s) and poster at ${posterTime.toFixed(1)}s`,
+        "info",
+        runtime?.logContext,
+    )
+    return { posterFile, vttFile: THUMBNAILS_VTT_FILE }
+}
+
 function isRetryableUploadError(error) {
     if (!error) return false
     const statusCode = Number(error?.$metadata?.httpStatusCode || 0)
@@ -915,39 +3512,134 @@ function isRetryableUploadError(error) {
         return true
     }
 
-    const message = String(error?.message || "").toLowerCase()
-    return (
-        message.includes("please retry your upload")
-        || message.includes("internal error")
-        || message.includes("non-retryable streaming request")
-        || message.includes("socket hang up")
-        || message.includes("timeout")
-        || message.includes("network")
-        || message.includes("connection reset")
-    )
+    const message = String(error?.message || "").toLowerCase()
+    return (
+        message.includes("please retry your upload")
+        || message.includes("internal error")
+        || message.includes("non-retryable streaming request")
+        || message.includes("socket hang up")
+        || message.includes("timeout")
+        || message.includes("network")
+        || message.includes("connection reset")
+    )
+}
+
+/**
+ * Append-only record of objects this job has uploaded (key, size, md5).
+ * A checkpoint that already exists means the work dir is left over from a
+ * failed attempt, so keys missing from it are also checked with HeadObject
+ * before they are uploaded again.
+ */
+function openUploadCheckpoint(workDir) {
+    const checkpointPath = path.join(workDir, UPLOAD_CHECKPOINT_FILE)
+    const entries = new Map()
+    const resumed = fs.existsSync(checkpointPath)
+    if (resumed) {
+        for (const line of fs.readFileSync(checkpointPath, "utf8").split("\n")) {
+            if (!line.trim()) continue
+            try {
+                const entry = JSON.parse(line)
+                if (entry && typeof entry.key === "string") entries.set(entry.key, entry)
+            } catch {}
+        }
+    }
+
+    return {
+        resumed,
+        size: () => entries.size,
+        matches(key, size, md5) {
+            const entry = entries.get(key)
+            return !!entry && entry.size === size && entry.md5 === md5
+        },
+        record(key, size, md5) {
+            const entry = { key, size, md5 }
+            entries.set(key, entry)
+            fs.appendFileSync(checkpointPath, `${JSON.stringify(entry)}\n`)
+        },
+    }
+}
+
+async function isRemoteObjectCurrent(remotePath, size, md5) {
+    try {
+        const head = await s3Client.send(
+            new HeadObjectCommand({
+                Bucket: CONFIG.b2.bucketName,
+                Key: remotePath,
+            }),
+        )
+        const etag = String(head.ETag || "").replace(/"/g, "").toLowerCase()
+        return Number(head.ContentLength) === size && etag === md5
+    } catch {
+        return false
+    }
+}
+
+async function remoteObjectExists(remotePath, runtime) {
+    try {
+        await s3Client.send(
+            new HeadObjectCommand({
+                Bucket: CONFIG.b2.bucketName,
+                Key: remotePath,
+            }),
+            { abortSignal: runtime?.signal },
+        )
+        return true
+    } catch (error) {
+        throwIfJobAborted(runtime)
+        // Only a definite 404 counts as absent; anything else is treated as existing so a cancel never deletes it.
+        return !(error?.name === "NotFound" || error?.$metadata?.httpStatusCode === 404)
+    }
+}
+
+const UPLOAD_CONTENT_TYPES = {
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/MP2T",
+    ".m4s": "video/iso.segment",
+    ".mp4": "video/mp4",
+    ".json": "application/json; charset=utf-8",
+    ".vtt": "text/vtt; charset=utf-8",
+    ".srt": "application/x-subrip; charset=utf-8",
+    ".jpg": "image/jpeg",
+    ".mpd": "application/dash+xml",
+    ".m4a": "audio/mp4",
+    ".mp3": "audio/mpeg",
+    ".webp": "image/webp",
 }
 
-async function uploadFile(localPath, remotePath) {
+async function uploadFile(localPath, remotePath, { runtime } = {}) {
     const normalizedPath = String(remotePath || "").toLowerCase()
-    const contentType = normalizedPath.endsWith(".m3u8")
-        ? "application/vnd.apple.mpegurl"
-        : normalizedPath.endsWith(".ts")
-            ? "video/MP2T"
-            : normalizedPath.endsWith(".m4s")
-                ? "video/iso.segment"
-                : normalizedPath.endsWith(".mp4")
-                    ? "video/mp4"
-                    : normalizedPath.endsWith(".vtt")
-                ? "text/vtt; charset=utf-8"
-                : normalizedPath.endsWith(".srt")
-                    ? "application/x-subrip; charset=utf-8"
-                    : "application/octet-stream"
-    const cacheControl = normalizedPath.endsWith(".m3u8")
+    const contentType = UPLOAD_CONTENT_TYPES[path.posix.extname(normalizedPath)] || "application/octet-stream"
+    // Manifests and the encode report are rewritten by re-encodes, so they must not be cached as immutable.
+    const cacheControl = [".m3u8", ".mpd", ".json"].includes(path.posix.extname(normalizedPath))
         ? CONFIG.playlistCacheControl
         : CONFIG.segmentCacheControl
     const maxAttempts = Math.max(1, CONFIG.uploadMaxAttempts)
 
+    // Before the checkpoint fast path, so a resumed attempt classifies keys the same way as a fresh one:
+    // an object an earlier attempt wrote into a live prefix cannot be told apart from the live one and is kept.
+    if (runtime?.checkPreexistingKeys && !runtime.uploadedKeys.has(remotePath) && await remoteObjectExists(remotePath, runtime)) {
+        runtime.preexistingKeys.add(remotePath)
+    }
+
+    const checkpoint = runtime?.uploadCheckpoint
+    let localSize = 0
+    let localMd5 = ""
+    if (checkpoint) {
+        localSize = fs.statSync(localPath).size
+        localMd5 = await hashFile(localPath)
+        const current = checkpoint.matches(remotePath, localSize, localMd5)
+            || (checkpoint.resumed && await isRemoteObjectCurrent(remotePath, localSize, localMd5))
+        if (current) {
+            if (!checkpoint.matches(remotePath, localSize, localMd5)) {
+                checkpoint.record(remotePath, localSize, localMd5)
+            }
+            runtime.uploadedKeys.add(remotePath)
+            return false
+        }
+    }
+
     for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+        throwIfJobAborted(runtime)
         try {
             const body = fs.createReadStream(localPath)
             const command = new PutObjectCommand({
@@ -957,9 +3649,14 @@ async function uploadFile(localPath, remotePath) {
                 ContentType: contentType,
                 CacheControl: cacheControl,
             })
-            await s3Client.send(command)
-            return
+            await s3Client.send(command, { abortSignal: runtime?.signal })
+            metrics.bytesUploaded.inc({}, body.bytesRead)
+            if (runtime) runtime.stats.bytesUploaded += body.bytesRead
+            runtime?.uploadedKeys.add(remotePath)
+            checkpoint?.record(remotePath, localSize, localMd5)
+            return true
         } catch (error) {
+            throwIfJobAborted(runtime)
             if (!(error instanceof Error)) {
                 throw error
             }
@@ -968,9 +3665,12 @@ async function uploadFile(localPath, remotePath) {
                 throw error
             }
             const waitMs = CONFIG.uploadRetryDelayMs * Math.pow(2, attempt - 1)
+            metrics.uploadRetries.inc()
+            if (runtime) runtime.stats.uploadRetries += 1
             log(
                 `Upload retry ${attempt}/${maxAttempts} for ${remotePath}: ${error.message}. Retrying in ${waitMs}ms`,
                 "warn",
+                runtime?.logContext,
             )
             await sleep(waitMs)
         }
@@ -983,7 +3683,13 @@ function uploadPriority(remotePath) {
     return 1
 }
 
-async function uploadDirectory(localDir, remotePrefix, concurrency = 4) {
+/**
+ * Uploads every file under localDir to remotePrefix with a pool of workers.
+ * Paths in holdBack (relative to localDir) are skipped so the caller can
+ * publish them once everything they reference is in place.
+ */
+async function uploadDirectory(localDir, remotePrefix, concurrency = 4, runtime, { holdBack = [] } = {}) {
+    const heldBack = new Set(holdBack)
     const files = []
     const walk = (dir, childPrefix = "") => {
         const entries = fs.readdirSync(dir)
@@ -992,7 +3698,7 @@ async function uploadDirectory(localDir, remotePrefix, concurrency = 4) {
             const relativePath = childPrefix ? `${childPrefix}/${entry}` : entry
             if (fs.statSync(fullPath).isDirectory()) {
                 walk(fullPath, relativePath)
-            } else {
+            } else if (!heldBack.has(relativePath)) {
                 files.push({
                     localPath: fullPath,
                     remotePath: `${remotePrefix}/${relativePath}`,
@@ -1011,29 +3717,37 @@ async function uploadDirectory(localDir, remotePrefix, concurrency = 4) {
     const workers = Math.max(1, Math.min(concurrency, files.length))
     let cursor = 0
     let completed = 0
+    let skipped = 0
     let firstError = null
     let shouldStop = false
 
     const runWorker = async () => {
         for (;;) {
-            if (shouldStop) return
+            if (shouldStop || runtime?.signal.aborted) return
             const currentIndex = cursor
             cursor += 1
             if (currentIndex >= files.length) return
             const file = files[currentIndex]
             try {
-                await uploadFile(file.localPath, file.remotePath)
+                const uploaded = await uploadFile(file.localPath, file.remotePath, { runtime })
                 completed += 1
+                if (!uploaded) skipped += 1
                 if (completed === files.length || completed % 25 === 0) {
-                    log(`Upload progress: ${completed}/${files.length}`)
+                    log(
+                        `Upload progress: ${completed}/${files.length} (already uploaded: ${skipped})`,
+                        "info",
+                        runtime?.logContext,
+                    )
                 }
             } catch (error) {
+                if (runtime?.signal.aborted) return
                 if (!firstError) {
                     firstError = error instanceof Error ? error : new Error(String(error))
                     shouldStop = true
                     log(
                         `Upload worker failed for ${file.remotePath}: ${firstError.message}`,
                         "error",
+                        runtime?.logContext,
                     )
                 }
                 return
@@ -1046,11 +3760,412 @@ async function uploadDirectory(localDir, remotePrefix, concurrency = 4) {
         pending.push(runWorker())
     }
     await Promise.all(pending)
+    throwIfJobAborted(runtime)
     if (firstError) {
         throw firstError
     }
 }
 
+async function deleteRemoteObjects(keys, failedKeys = null) {
+    const pendingKeys = Array.from(new Set(keys))
+    let deleted = 0
+    // DeleteObjects accepts at most 1000 keys per request.
+    for (let offset = 0; offset < pendingKeys.length; offset += 1000) {
+        const batch = pendingKeys.slice(offset, offset + 1000)
+        const result = await s3Client.send(
+            new DeleteObjectsCommand({
+                Bucket: CONFIG.b2.bucketName,
+                Delete: {
+                    Objects: batch.map((key) => ({ Key: key })),
+                    Quiet: true,
+                },
+            }),
+        )
+        const errors = Array.isArray(result.Errors) ? result.Errors : []
+        for (const error of errors) {
+            log(`Failed to delete ${error.Key}: ${error.Message || error.Code}`, "warn")
+            failedKeys?.add(error.Key)
+        }
+        deleted += batch.length - errors.length
+    }
+    return deleted
+}
+
+/**
+ * Lists objects under prefix, following continuation tokens. With a
+ * delimiter, keys below the next delimiter are rolled up into prefixes.
+ */
+async function listRemoteObjects(prefix, { delimiter } = {}) {
+    const objects = []
+    const prefixes = []
+    let continuationToken
+    do {
+        const result = await s3Client.send(
+            new ListObjectsV2Command({
+                Bucket: CONFIG.b2.bucketName,
+                Prefix: prefix,
+                Delimiter: delimiter,
+                ContinuationToken: continuationToken,
+            }),
+        )
+        for (const item of result.Contents || []) {
+            objects.push({
+                key: item.Key,
+                size: Number(item.Size || 0),
+                lastModified: item.LastModified ? new Date(item.LastModified) : null,
+            })
+        }
+        for (const item of result.CommonPrefixes || []) {
+            if (item.Prefix) prefixes.push(item.Prefix)
+        }
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined
+    } while (continuationToken)
+    return { objects, prefixes }
+}
+
+/**
+ * Version number of a publish dir name, "v{n}-{attemptId}" (or "v{n}" from
+ * before per-attempt prefixes). Null for anything else.
+ */
+function parsePublishVersionDir(name) {
+    const match = /^v(\d+)(?:-[0-9a-f-]+)?$/i.exec(name || "")
+    return match ? Number(match[1]) : null
+}
+
+function getPublishVersionOfKey(basePrefix, key) {
+    const relativeKey = key.slice(basePrefix.length + 1)
+    const separatorIndex = relativeKey.indexOf("/")
+    return separatorIndex > 0 ? parsePublishVersionDir(relativeKey.slice(0, separatorIndex)) : null
+}
+
+function parsePublishedPrefix(remotePrefix) {
+    const match = /^(.+)\/([^/]+)$/.exec(normalizeOptionalString(remotePrefix) || "")
+    const version = match ? parsePublishVersionDir(match[2]) : null
+    return version === null ? null : { basePrefix: match[1], version }
+}
+
+/**
+ * Picks the publish prefix hls/{id}/v{n}-{attemptId} for a job, n one above
+ * the highest version already in the bucket. Listing and picking is not
+ * atomic, so the attempt id keeps two encodes of the same item that pick
+ * the same n (a re-queued re-encode, a re-claimed job whose first worker is
+ * still uploading) from writing into one prefix. The prefix is kept in the
+ * work dir so a retried upload continues into it instead of starting a new one.
+ */
+async function resolvePublishPrefix(job, workDir, attemptId) {
+    const basePrefix = `hls/${job.content_item_id}`
+    const markerPath = path.join(workDir, PUBLISH_VERSION_FILE)
+    const recorded = readJsonFile(markerPath)
+    if (recorded?.base_prefix === basePrefix && Number.isInteger(recorded.version) && recorded.version > 0) {
+        // Markers written before per-attempt prefixes only hold the version.
+        return typeof recorded.prefix === "string" ? recorded.prefix : `${basePrefix}/v${recorded.version}`
+    }
+
+    const { prefixes } = await listRemoteObjects(`${basePrefix}/`, { delimiter: "/" })
+    let latestVersion = 0
+    for (const prefix of prefixes) {
+        const version = parsePublishVersionDir(prefix.slice(basePrefix.length + 1).replace(/\/+$/, ""))
+        if (version !== null) latestVersion = Math.max(latestVersion, version)
+    }
+    const version = latestVersion + 1
+    const prefix = `${basePrefix}/v${version}-${attemptId}`
+    writeJsonFile(markerPath, { base_prefix: basePrefix, version, prefix })
+    return prefix
+}
+
+function getPublishCleanupDir() {
+    return path.join(CONFIG.tempDir, PUBLISH_CLEANUP_DIR_NAME)
+}
+
+/**
+ * Schedules deletion of every version older than the one masterUrl points
+ * at. Called only after the API accepted the completion, so the versions
+ * being removed are no longer what viewers are sent to. One entry per
+ * content item: the latest accepted completion wins.
+ */
+function schedulePublishCleanup(masterUrl) {
+    if (!CONFIG.publishCleanupEnabled) return
+    const published = parsePublishedPrefix(deriveRemotePrefixFromMasterUrl(masterUrl))
+    if (!published) return
+    const cleanupDir = getPublishCleanupDir()
+    ensureDir(cleanupDir)
+    const filePath = path.join(cleanupDir, `${published.basePrefix.replace(/[^a-zA-Z0-9_-]+/g, "_")}.json`)
+    const dueAt = Date.now() + CONFIG.publishCleanupDelayHours * 60 * 60 * 1000
+    writeJsonFile(`${filePath}.tmp`, {
+        base_prefix: published.basePrefix,
+        keep_version: published.version,
+        due_at: new Date(dueAt).toISOString(),
+    })
+    fs.renameSync(`${filePath}.tmp`, filePath)
+    log(`Scheduled cleanup of versions older than v${published.version} under ${published.basePrefix} for ${new Date(dueAt).toISOString()}`)
+}
+
+/**
+ * Deletes objects under basePrefix that belong to a version below
+ * keepVersion, plus unversioned output from before versioned publishing.
+ * Newer versions are left alone: they may still be uploading.
+ */
+async function deleteSupersededVersions(basePrefix, keepVersion) {
+    const { objects } = await listRemoteObjects(`${basePrefix}/`)
+    const staleKeys = []
+    for (const object of objects) {
+        const version = getPublishVersionOfKey(basePrefix, object.key)
+        if (version !== null && version >= keepVersion) continue
+        staleKeys.push(object.key)
+    }
+    return staleKeys.length > 0 ? deleteRemoteObjects(staleKeys) : 0
+}
+
+async function sweepPublishCleanup() {
+    const cleanupDir = getPublishCleanupDir()
+    if (publishCleanupRunning || !fs.existsSync(cleanupDir)) return
+    publishCleanupRunning = true
+    try {
+        for (const fileName of fs.readdirSync(cleanupDir).filter((name) => name.endsWith(".json"))) {
+            const filePath = path.join(cleanupDir, fileName)
+            const entry = readJsonFile(filePath)
+            if (!entry || typeof entry.base_prefix !== "string" || !Number.isInteger(entry.keep_version)) {
+                log(`Dropping unreadable publish cleanup entry ${fileName}`, "warn")
+                fs.rmSync(filePath, { force: true })
+                continue
+            }
+            if (Date.parse(entry.due_at) > Date.now()) continue
+            try {
+                const deleted = await deleteSupersededVersions(entry.base_prefix, entry.keep_version)
+                // A newer completion may have rescheduled this item while the delete ran.
+                if (readJsonFile(filePath)?.keep_version === entry.keep_version) {
+                    fs.rmSync(filePath, { force: true })
+                }
+                log(`Removed ${deleted} superseded object(s) under ${entry.base_prefix} (kept v${entry.keep_version} and newer)`)
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error)
+                log(`Publish cleanup of ${entry.base_prefix} failed, will retry: ${message}`, "warn")
+            }
+        }
+    } finally {
+        publishCleanupRunning = false
+    }
+}
+
+function startPublishCleanupSweeper() {
+    const sweep = () => {
+        sweepPublishCleanup().catch((error) => {
+            const message = error instanceof Error ? error.message : String(error)
+            log(`Publish cleanup sweep failed: ${message}`, "warn")
+        })
+    }
+    sweep()
+    const timer = setInterval(sweep, CONFIG.publishCleanupSweepIntervalMs)
+    return () => clearInterval(timer)
+}
+
+function parseGcArgs(args) {
+    const options = {
+        dryRun: false,
+        minAgeHours: CONFIG.gcMinAgeHours,
+        contentItemId: null,
+    }
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].split(/=(.*)/s)
+        const takeValue = () => {
+            const value = inlineValue ?? args[++i]
+            if (value === undefined) throw new Error(`gc: ${flag} needs a value`)
+            return value
+        }
+        if (flag === "--dry-run") {
+            options.dryRun = true
+        } else if (flag === "--min-age-hours") {
+            const value = takeValue()
+            const hours = Number(value)
+            if (!Number.isFinite(hours) || hours < 0) throw new Error(`gc: invalid --min-age-hours "${value}"`)
+            options.minAgeHours = hours
+        } else if (flag === "--content-item") {
+            options.contentItemId = normalizeOptionalString(takeValue())
+        } else {
+            throw new Error(
+                `gc: unknown argument "${args[i]}". Usage: encode-worker.js gc [--dry-run] [--min-age-hours N] [--content-item ID]`,
+            )
+        }
+    }
+    return options
+}
+
+/**
+ * Asks the admin API which output each content item currently serves.
+ * Items the API does not mention are left out of the result and treated
+ * as unknown by the caller, never as deleted.
+ */
+async function fetchLiveOutputs(contentItemIds) {
+    const liveOutputs = new Map()
+    for (let offset = 0; offset < contentItemIds.length; offset += GC_LIVE_OUTPUT_BATCH_SIZE) {
+        const batch = contentItemIds.slice(offset, offset + GC_LIVE_OUTPUT_BATCH_SIZE)
+        const payload = await apiRequest("POST", "/api/admin/encoding-jobs/live-outputs", {
+            content_item_ids: batch,
+        }, {
+            maxAttempts: CONFIG.apiMaxAttempts,
+        })
+        const items = Array.isArray(payload?.data) ? payload.data : []
+        for (const item of items) {
+            const contentItemId = normalizeOptionalString(item?.content_item_id)
+            if (!contentItemId || !batch.includes(contentItemId)) continue
+            liveOutputs.set(contentItemId, {
+                exists: item.exists !== false,
+                masterUrl: normalizeOptionalString(item.master_url),
+                hasActiveJob: parseDbBoolean(item.has_active_job),
+            })
+        }
+    }
+    return liveOutputs
+}
+
+/**
+ * Returns a predicate telling whether an object key under basePrefix is
+ * still referenced. A versioned master keeps its own version; a legacy
+ * unversioned master keeps everything outside the v{n}/ prefixes.
+ */
+function createLiveKeyMatcher(basePrefix, liveOutput) {
+    if (!liveOutput.exists || !liveOutput.masterUrl) return () => false
+    const livePrefix = deriveRemotePrefixFromMasterUrl(liveOutput.masterUrl)
+    if (livePrefix === basePrefix) {
+        return (key) => getPublishVersionOfKey(basePrefix, key) === null
+    }
+    if (livePrefix && livePrefix.startsWith(`${basePrefix}/`)) {
+        return (key) => key.startsWith(`${livePrefix}/`)
+    }
+    // Served from somewhere else entirely (e.g. a manual upload): nothing here is live.
+    return () => false
+}
+
+/**
+ * When the live master is a versioned one, returns which keys it superseded
+ * (lower versions and legacy unversioned output) and when: the live
+ * master's upload time, since it is written last. Null when nothing under
+ * basePrefix was superseded by a versioned publish.
+ */
+function findSupersededOutput(basePrefix, liveOutput, objects) {
+    if (!liveOutput.exists || !liveOutput.masterUrl) return null
+    const livePrefix = deriveRemotePrefixFromMasterUrl(liveOutput.masterUrl)
+    const published = parsePublishedPrefix(livePrefix)
+    if (!published || published.basePrefix !== basePrefix) return null
+    const liveMaster = objects.find((object) => object.key === `${livePrefix}/master.m3u8`)
+    return {
+        supersededAt: liveMaster?.lastModified ? liveMaster.lastModified.getTime() : null,
+        isSuperseded: (key) => {
+            const version = getPublishVersionOfKey(basePrefix, key)
+            return version === null || version < published.version
+        },
+    }
+}
+
+/**
+ * `gc` command: finds objects under hls/ that no live content item or
+ * version references and deletes them (or only reports them with
+ * --dry-run). Objects younger than the minimum age, items with a running
+ * job and items the API cannot account for are always kept, as are
+ * versions superseded less than ENCODER_PUBLISH_CLEANUP_DELAY_HOURS ago,
+ * which players on the previous master may still be fetching.
+ */
+async function runGarbageCollection({ dryRun, minAgeHours, contentItemId }) {
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000
+    log(`Garbage collection started (dry_run=${dryRun} min_age_hours=${minAgeHours} bucket=${CONFIG.b2.bucketName})`)
+
+    const basePrefixes = contentItemId
+        ? [`hls/${contentItemId}`]
+        : (await listRemoteObjects("hls/", { delimiter: "/" })).prefixes.map((prefix) => prefix.replace(/\/+$/, ""))
+    const contentItemIds = basePrefixes.map((prefix) => prefix.slice("hls/".length))
+    const liveOutputs = await fetchLiveOutputs(contentItemIds)
+
+    const summary = {
+        prefixes_scanned: 0,
+        prefixes_skipped: 0,
+        objects_scanned: 0,
+        objects_unreferenced: 0,
+        objects_too_young: 0,
+        objects_recently_superseded: 0,
+        objects_deleted: 0,
+        bytes_unreferenced: 0,
+        bytes_reclaimed: 0,
+    }
+    for (const basePrefix of basePrefixes) {
+        const id = basePrefix.slice("hls/".length)
+        const liveOutput = liveOutputs.get(id)
+        if (!liveOutput || liveOutput.hasActiveJob) {
+            summary.prefixes_skipped += 1
+            log(`Skipping ${basePrefix}: ${liveOutput ? "a job is running for it" : "unknown to the API"}`)
+            continue
+        }
+        summary.prefixes_scanned += 1
+        const isLive = createLiveKeyMatcher(basePrefix, liveOutput)
+        const { objects } = await listRemoteObjects(`${basePrefix}/`)
+        const superseded = findSupersededOutput(basePrefix, liveOutput, objects)
+        // Without a readable live master, the supersession time is unknown; keep the old versions.
+        const supersededGraceOver = superseded?.supersededAt != null
+            && superseded.supersededAt <= Date.now() - CONFIG.publishCleanupDelayHours * 60 * 60 * 1000
+        const unreferenced = []
+        for (const object of objects) {
+            summary.objects_scanned += 1
+            if (isLive(object.key)) continue
+            if (!object.lastModified || object.lastModified.getTime() > cutoff) {
+                summary.objects_too_young += 1
+                continue
+            }
+            if (superseded?.isSuperseded(object.key) && !supersededGraceOver) {
+                summary.objects_recently_superseded += 1
+                continue
+            }
+            unreferenced.push(object)
+        }
+        if (unreferenced.length === 0) continue
+
+        const bytes = unreferenced.reduce((total, object) => total + object.size, 0)
+        summary.objects_unreferenced += unreferenced.length
+        summary.bytes_unreferenced += bytes
+        log(
+            `${dryRun ? "Would delete" : "Deleting"} ${unreferenced.length} unreferenced object(s) (${bytes} bytes) under ${basePrefix}${liveOutput.exists ? "" : " (content item deleted)"}`,
+        )
+        if (dryRun) continue
+        const failedKeys = new Set()
+        summary.objects_deleted += await deleteRemoteObjects(unreferenced.map((object) => object.key), failedKeys)
+        for (const object of unreferenced) {
+            if (!failedKeys.has(object.key)) summary.bytes_reclaimed += object.size
+        }
+    }
+
+    log(
+        `Garbage collection ${dryRun ? "dry run " : ""}finished: scanned ${summary.objects_scanned} object(s) in ${summary.prefixes_scanned} prefix(es), ${summary.objects_unreferenced} unreferenced (${summary.bytes_unreferenced} bytes), ${dryRun ? "nothing deleted" : `${summary.objects_deleted} deleted, ${summary.bytes_reclaimed} bytes reclaimed`}`,
+        "info",
+        { dry_run: dryRun, ...summary },
+    )
+    return summary
+}
+
+async function handleCancelledJob(runtime) {
+    const { job } = runtime
+    // Objects that were live before this attempt (overwritten subtitles of a subtitle-only job) stay.
+    const keys = Array.from(runtime.uploadedKeys).filter((key) => !runtime.preexistingKeys.has(key))
+    let deletedObjects = 0
+    if (runtime.preexistingKeys.size > 0) {
+        log(
+            `Keeping ${runtime.preexistingKeys.size} object(s) of cancelled job ${job.id} that existed before it ran`,
+            "info",
+            runtime.logContext,
+        )
+    }
+    if (keys.length > 0) {
+        log(`Removing ${keys.length} partial object(s) uploaded for cancelled job ${job.id}`, "info", runtime.logContext)
+        try {
+            deletedObjects = await deleteRemoteObjects(keys)
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error)
+            log(`Partial output cleanup failed for job ${job.id}: ${message}`, "warn", runtime.logContext)
+        }
+    }
+    await markJobCancelled(runtime, {
+        deleted_objects: deletedObjects,
+    })
+    log(`Job ${job.id} cancelled`, "info", runtime.logContext)
+}
+
 function isAutoSubtitleModeEnabled() {
     return CONFIG.subtitles.mode === "auto" || CONFIG.subtitles.mode === "hybrid"
 }
@@ -1084,6 +4199,8 @@ async function generateAutoSubtitleTrack({
     outputPath,
     metaPath,
     language,
+    runtime,
+    onProgress,
 }) {
     const args = [
         CONFIG.subtitles.scriptPath,
@@ -1104,24 +4221,31 @@ async function generateAutoSubtitleTrack({
         "--progress-every-segments",
         String(CONFIG.subtitles.progressEverySegments),
     ]
+    const subtitleThreads = resolveSubtitleThreadBudget()
+    if (subtitleThreads > 0) {
+        args.push("--cpu-threads", String(subtitleThreads))
+    }
     const explicitLanguage = normalizeSubtitleLanguage(language)
     if (explicitLanguage && explicitLanguage !== AUTO_SUBTITLE_LANG_TOKEN && explicitLanguage !== "und") {
         args.push("--language", explicitLanguage)
     }
 
-    await new Promise((resolve, reject) => {
-        const child = spawn(CONFIG.subtitles.pythonBin, args, { stdio: "inherit" })
-        child.on("error", (error) => reject(error))
-        child.on("close", (code) => {
-            if (code === 0) resolve()
-            else reject(new Error(`Subtitle generator exited with code ${code}`))
-        })
+    await runChildProcess(CONFIG.subtitles.pythonBin, args, {
+        runtime,
+        name: "Subtitle generator",
+        onStderrLine: onProgress
+            ? (line) => {
+                const progress = parseSubtitleProgressLine(line)
+                if (progress) onProgress(progress)
+            }
+            : undefined,
     })
 }
 
-async function preprocessAudioForSubtitle({ sourcePath, outputPath }) {
+async function preprocessAudioForSubtitle({ sourcePath, outputPath, runtime }) {
     const ffmpegArgs = [
         "-y",
+        "-nostats",
         "-i",
         sourcePath,
         "-vn",
@@ -1135,17 +4259,10 @@ async function preprocessAudioForSubtitle({ sourcePath, outputPath }) {
     }
     ffmpegArgs.push("-c:a", "pcm_s16le", outputPath)
 
-    await new Promise((resolve, reject) => {
-        const ffmpeg = spawn("ffmpeg", ffmpegArgs, { stdio: "inherit" })
-        ffmpeg.on("error", (error) => reject(error))
-        ffmpeg.on("close", (code) => {
-            if (code === 0) resolve()
-            else reject(new Error(`ffmpeg audio preprocess exited with code ${code}`))
-        })
-    })
+    await runChildProcess("ffmpeg", ffmpegArgs, { runtime, name: "ffmpeg audio preprocess" })
 }
 
-async function resolveAutoSubtitleInputPath({ sourcePath, subtitlesDir }) {
+async function resolveAutoSubtitleInputPath({ sourcePath, subtitlesDir, runtime }) {
     if (!CONFIG.subtitles.preprocessAudio) {
         return sourcePath
     }
@@ -1154,26 +4271,30 @@ async function resolveAutoSubtitleInputPath({ sourcePath, subtitlesDir }) {
     try {
         log(
             `Preprocessing audio for subtitle: ${CONFIG.subtitles.preprocessChannels}ch @ ${CONFIG.subtitles.preprocessSampleRate}Hz`,
+            "info",
+            runtime?.logContext,
         )
-        await preprocessAudioForSubtitle({
+        await withCpuStageSlot(runtime, "subtitle audio preprocess", () => preprocessAudioForSubtitle({
             sourcePath,
             outputPath: cleanedAudioPath,
-        })
+            runtime,
+        }))
         if (fs.existsSync(cleanedAudioPath)) {
             return cleanedAudioPath
         }
         throw new Error("Preprocessed audio file missing after ffmpeg step")
     } catch (error) {
+        throwIfJobAborted(runtime)
         const message = error instanceof Error ? error.message : String(error)
         if (CONFIG.subtitles.preprocessRequired) {
             throw new Error(`Subtitle audio preprocess failed: ${message}`)
         }
-        log(`Subtitle audio preprocess failed, fallback to source input: ${message}`, "warn")
+        log(`Subtitle audio preprocess failed, fallback to source input: ${message}`, "warn", runtime?.logContext)
         return sourcePath
     }
 }
 
-async function processSubtitleTracks({ subtitleTracks, workDir, remotePrefix }) {
+async function processSubtitleTracks({ subtitleTracks, workDir, remotePrefix, runtime }) {
     if (!Array.isArray(subtitleTracks) || subtitleTracks.length === 0) {
         return []
     }
@@ -1188,7 +4309,20 @@ async function processSubtitleTracks({ subtitleTracks, workDir, remotePrefix })
         const track = subtitleTracks[index]
         const extension = inferSubtitleExtension(track.url)
         const tempSourcePath = path.join(subtitlesDir, `source_${index + 1}${extension}`)
-        await downloadFile(track.url, tempSourcePath)
+        try {
+            await downloadFile(track.url, tempSourcePath, { signal: runtime?.signal })
+        } catch (error) {
+            throwIfJobAborted(runtime)
+            const status = Number(error?.status || 0)
+            // A 5xx, 429 or network error on the subtitle host is transient; a 404 or 403 is not.
+            throw createJobError({
+                code: "SUBTITLE_DOWNLOAD_FAILED",
+                stage: JOB_STAGES.subtitle,
+                message: `Subtitle track ${index + 1} (${track.lang}) could not be downloaded: ${error instanceof Error ? error.message : String(error)}`,
+                retryable: isRetryableHttpStatus(status),
+                cause: error,
+            })
+        }
 
         let subtitleBody = fs.readFileSync(tempSourcePath, "utf8")
         if (extension === ".srt") {
@@ -1211,7 +4345,7 @@ async function processSubtitleTracks({ subtitleTracks, workDir, remotePrefix })
         fs.writeFileSync(finalLocalPath, subtitleBody, "utf8")
 
         const remoteSubtitlePath = `${remotePrefix}/subs/${baseToken}.vtt`
-        await uploadFile(finalLocalPath, remoteSubtitlePath)
+        await uploadFile(finalLocalPath, remoteSubtitlePath, { runtime })
 
         finalizedTracks.push({
             lang: track.lang,
@@ -1230,6 +4364,8 @@ async function processAutoSubtitleTracks({
     workDir,
     remotePrefix,
     requestedLanguages,
+    runtime,
+    onProgress,
 }) {
     if (!isAutoSubtitleModeEnabled()) {
         return []
@@ -1245,6 +4381,7 @@ async function processAutoSubtitleTracks({
     const subtitleInputPath = await resolveAutoSubtitleInputPath({
         sourcePath,
         subtitlesDir,
+        runtime,
     })
 
     const generatedTracks = []
@@ -1258,74 +4395,619 @@ async function processAutoSubtitleTracks({
         const metaPath = path.join(subtitlesDir, `${outputName}.json`)
 
         const subtitleTarget = languageToken === AUTO_SUBTITLE_LANG_TOKEN ? "auto-detect" : languageToken
-        log(`Generating auto subtitle (${subtitleTarget})`)
+        log(`Generating auto subtitle (${subtitleTarget})`, "info", runtime?.logContext)
         await generateAutoSubtitleTrack({
             sourcePath: subtitleInputPath,
             outputPath,
             metaPath,
             language: languageToken,
+            runtime,
+            onProgress: onProgress
+                ? (progress) => onProgress({ ...progress, trackIndex: index, trackCount: effectiveRequestedLanguages.length })
+                : undefined,
+        })
+
+        if (!fs.existsSync(outputPath)) {
+            throw new Error(`Subtitle generator did not produce output file: ${outputPath}`)
+        }
+
+        const meta = readSubtitleMeta(metaPath)
+        const detectedLanguage = normalizeSubtitleLanguage(
+            meta.language
+            || meta.detected_language
+            || (languageToken === AUTO_SUBTITLE_LANG_TOKEN ? "und" : languageToken),
+        )
+
+        const baseTokenSeed = sanitizeFileToken(
+            detectedLanguage === "und" ? `auto_${index + 1}` : detectedLanguage,
+            `auto_${index + 1}`,
+        )
+        let baseToken = baseTokenSeed
+        let suffix = 2
+        while (usedBaseNames.has(baseToken)) {
+            baseToken = `${baseTokenSeed}_${suffix}`
+            suffix += 1
+        }
+        usedBaseNames.add(baseToken)
+
+        const finalLocalPath = path.join(subtitlesDir, `${baseToken}.vtt`)
+        if (finalLocalPath !== outputPath) {
+            fs.renameSync(outputPath, finalLocalPath)
+        }
+
+        const remoteSubtitlePath = `${remotePrefix}/subs/${baseToken}.vtt`
+        await uploadFile(finalLocalPath, remoteSubtitlePath, { runtime })
+
+        generatedTracks.push({
+            lang: detectedLanguage,
+            label: buildSubtitleLabel(detectedLanguage, "auto"),
+            url: `${CONFIG.cdnBaseUrl}/${remoteSubtitlePath}`,
+            kind: "subtitles",
+            default: false,
+        })
+    }
+
+    return dedupeSubtitleTracks(generatedTracks)
+}
+
+function resolveAudioExportFormatsForJob(job) {
+    const override = getEncodingMetadataFromJob(job).audio_export
+    if (override === false) return []
+    if (override === true) {
+        return CONFIG.audioExport.formats.length > 0 ? CONFIG.audioExport.formats : ["m4a"]
+    }
+    const formats = parseAudioExportFormats(override)
+    return formats.length > 0 ? formats : CONFIG.audioExport.formats
+}
+
+function parseChapterTime(value) {
+    if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null
+    const raw = String(value ?? "").trim()
+    if (/^\d+(\.\d+)?$/.test(raw)) return Number.parseFloat(raw)
+    const parts = raw.split(":")
+    if (parts.length < 2 || parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return null
+    return parts.reduce((total, part) => total * 60 + Number.parseFloat(part), 0)
+}
+
+function extractChaptersFromJob(job, durationSeconds) {
+    const contentMetadata = getContentMetadataFromJob(job)
+    const candidates = [contentMetadata.chapters, getEncodingMetadataFromJob(job).chapters]
+        .find((value) => Array.isArray(value)) || []
+    const chapters = candidates
+        .map((entry, index) => {
+            if (!entry || typeof entry !== "object") return null
+            const start = parseChapterTime(entry.start_seconds ?? entry.start ?? entry.start_time ?? entry.time)
+            if (start === null || (durationSeconds > 0 && start >= durationSeconds)) return null
+            return {
+                start,
+                title: normalizeOptionalString(entry.title ?? entry.label ?? entry.name) || `Chapter ${index + 1}`,
+            }
+        })
+        .filter((chapter) => !!chapter)
+        .sort((a, b) => a.start - b.start)
+    return chapters.map((chapter, index) => ({
+        ...chapter,
+        end: chapters[index + 1]?.start ?? durationSeconds,
+    })).filter((chapter) => chapter.end > chapter.start)
+}
+
+function resolveAudioExportTags(job) {
+    const contentMetadata = getContentMetadataFromJob(job)
+    const pick = (...keys) => {
+        for (const key of keys) {
+            const value = normalizeOptionalString(contentMetadata[key] ?? job?.[key])
+            if (value) return value
+        }
+        return null
+    }
+    return {
+        title: pick("title", "name"),
+        artist: pick("speaker", "author", "artist", "presenter"),
+        album: pick("series", "album", "collection"),
+        date: pick("recorded_at", "published_at", "date", "year"),
+        comment: pick("description", "summary"),
+        language: pick("language", "lang"),
+        genre: pick("genre"),
+    }
+}
+
+function escapeFfmetadataValue(value) {
+    return String(value).replace(/[\\=;#\n]/g, (char) => `\\${char}`)
+}
+
+/**
+ * Builds an FFMETADATA1 document carrying tags and chapters. ffmpeg maps it
+ * to MP4 metadata/chapters for .m4a and to ID3v2 tags and CHAP frames for .mp3.
+ */
+function buildFfmetadata(tags, chapters) {
+    let document = ";FFMETADATA1\n"
+    for (const [key, value] of Object.entries(tags)) {
+        if (value) document += `${key}=${escapeFfmetadataValue(value)}\n`
+    }
+    for (const chapter of chapters) {
+        document += "\n[CHAPTER]\nTIMEBASE=1/1000\n"
+        document += `START=${Math.round(chapter.start * 1000)}\n`
+        document += `END=${Math.round(chapter.end * 1000)}\n`
+        document += `title=${escapeFfmetadataValue(chapter.title)}\n`
+    }
+    return document
+}
+
+/**
+ * Encodes loudness-normalized download files (one ffmpeg run, one output
+ * per format) into outputDir so they upload next to master.m3u8. Files are
+ * written under a .part name and renamed, so an existing file is complete.
+ * Returns [{ format, file, sizeBytes }].
+ */
+async function exportAudioDownloads({ job, inputPath, outputDir, formats, durationSeconds, runtime }) {
+    const outputs = formats.map((format) => ({ format, file: `audio.${format}` }))
+    if (outputs.every((output) => fs.existsSync(path.join(outputDir, output.file)))) {
+        log("Reusing audio downloads from a previous attempt", "info", runtime?.logContext)
+    } else {
+        const chapters = extractChaptersFromJob(job, durationSeconds)
+        const metadataPath = path.join(path.dirname(outputDir), "audio-metadata.txt")
+        fs.writeFileSync(metadataPath, buildFfmetadata(resolveAudioExportTags(job), chapters))
+
+        const splitLabels = outputs.map((_, index) => `[a${index}]`)
+        const ffmpegArgs = [
+            "-nostats",
+            "-y",
+            "-i",
+            inputPath,
+            "-f",
+            "ffmetadata",
+            "-i",
+            metadataPath,
+            "-filter_complex",
+            `[0:a:0]${CONFIG.audioExport.loudnessFilter},asplit=${outputs.length}${splitLabels.join("")}`,
+        ]
+        outputs.forEach((output, index) => {
+            ffmpegArgs.push("-map", splitLabels[index], "-map_metadata", "1", "-map_chapters", "1")
+            ffmpegArgs.push("-ac", String(CONFIG.audioExport.channels), "-ar", "44100")
+            if (output.format === "mp3") {
+                ffmpegArgs.push("-c:a", "libmp3lame", "-b:a", CONFIG.audioExport.mp3Bitrate, "-id3v2_version", "3")
+            } else {
+                ffmpegArgs.push("-c:a", "aac", "-b:a", CONFIG.audioExport.aacBitrate, "-movflags", "+faststart")
+            }
+            ffmpegArgs.push("-f", AUDIO_EXPORT_MUXERS[output.format], path.join(outputDir, `${output.file}.part`))
+        })
+        await runChildProcess("ffmpeg", ffmpegArgs, { runtime, name: "ffmpeg audio export" })
+        for (const output of outputs) {
+            fs.renameSync(path.join(outputDir, `${output.file}.part`), path.join(outputDir, output.file))
+        }
+        fs.rmSync(metadataPath, { force: true })
+        log(
+            `Exported audio download(s): ${outputs.map((output) => output.file).join(",")} with ${chapters.length} chapter(s)`,
+            "info",
+            runtime?.logContext,
+        )
+    }
+    return outputs.map((output) => ({
+        ...output,
+        sizeBytes: fs.statSync(path.join(outputDir, output.file)).size,
+    }))
+}
+
+/**
+ * Maps requested download rung names onto this job's ladder. A rung the
+ * source was too small for falls back to the tallest selected rung below it
+ * with the same codec.
+ */
+function resolveDownloadQualitiesForJob(job, selectedQualities) {
+    const encodingMetadata = getEncodingMetadataFromJob(job)
+    if (encodingMetadata.downloads === false) return []
+    const jobNames = parseQualityNameList(encodingMetadata.download_qualities)
+    const requestedNames = jobNames.length > 0 ? jobNames : CONFIG.downloads.qualities
+
+    const resolved = []
+    for (const name of requestedNames) {
+        let quality = selectedQualities.find((item) => normalizeQualityName(item.name) === name)
+        if (!quality) {
+            const ceiling = CONFIG.qualities.find((item) => normalizeQualityName(item.name) === name)
+            if (!ceiling) continue
+            quality = [...selectedQualities]
+                .reverse()
+                .find((item) => item.height <= ceiling.height && item.codec === ceiling.codec)
+        }
+        if (quality && !resolved.includes(quality)) resolved.push(quality)
+    }
+    return resolved
+}
+
+function resolveLocalSubtitleFile(workDir, remotePrefix, track) {
+    const remoteRoot = `${CONFIG.cdnBaseUrl}/${remotePrefix}/subs/`
+    if (!String(track.url || "").startsWith(remoteRoot)) return null
+    const fileName = path.basename(track.url.slice(remoteRoot.length))
+    // Auto tracks are uploaded after manual ones and win on a name clash, same as on the CDN.
+    for (const dirName of ["subs-auto", "subs"]) {
+        const candidate = path.join(workDir, dirName, fileName)
+        if (fs.existsSync(candidate)) return candidate
+    }
+    return null
+}
+
+/**
+ * Remuxes one HLS rendition (plus the shared audio rendition and, optionally,
+ * subtitles as mov_text) into a faststart MP4. Stream copy only, so it costs
+ * I/O rather than another encode.
+ */
+async function remuxDownloadRendition({ outputDir, quality, subtitleFiles, destinationPath, runtime }) {
+    const ffmpegArgs = ["-nostats", "-y", "-i", path.join(outputDir, quality.name, "playlist.m3u8")]
+    const maps = ["-map", "0:v:0"]
+    const sharedAudioPlaylist = path.join(outputDir, "audio", "playlist.m3u8")
+    let inputIndex = 1
+    if (fs.existsSync(sharedAudioPlaylist)) {
+        ffmpegArgs.push("-i", sharedAudioPlaylist)
+        maps.push("-map", `${inputIndex}:a:0`)
+        inputIndex += 1
+    } else {
+        maps.push("-map", "0:a:0?")
+    }
+    const subtitleMetadata = []
+    subtitleFiles.forEach((subtitle, index) => {
+        ffmpegArgs.push("-i", subtitle.path)
+        maps.push("-map", `${inputIndex}:s:0`)
+        subtitleMetadata.push(
+            `-metadata:s:s:${index}`,
+            `language=${subtitle.lang}`,
+            `-metadata:s:s:${index}`,
+            `handler_name=${subtitle.label}`,
+        )
+        inputIndex += 1
+    })
+    if (quality.codec === "hevc") {
+        maps.push("-tag:v", "hvc1")
+    }
+    ffmpegArgs.push(
+        ...maps,
+        "-c:v",
+        "copy",
+        "-c:a",
+        "copy",
+        "-c:s",
+        "mov_text",
+        ...subtitleMetadata,
+        "-movflags",
+        "+faststart",
+        "-f",
+        "mp4",
+        destinationPath,
+    )
+    await runChildProcess("ffmpeg", ffmpegArgs, { runtime, name: `ffmpeg download ${quality.name}` })
+}
+
+async function produceDownloadRenditions({ qualities, outputDir, workDir, remotePrefix, subtitleTracks, runtime }) {
+    const downloadsDir = path.join(workDir, "downloads")
+    ensureDir(downloadsDir)
+    const subtitleFiles = CONFIG.downloads.muxSubtitles
+        ? subtitleTracks
+            .map((track) => ({ ...track, path: resolveLocalSubtitleFile(workDir, remotePrefix, track) }))
+            .filter((track) => !!track.path)
+        : []
+
+    const downloads = []
+    for (const quality of qualities) {
+        throwIfJobAborted(runtime)
+        const localPath = path.join(downloadsDir, `${quality.name}.mp4`)
+        await remuxDownloadRendition({ outputDir, quality, subtitleFiles, destinationPath: localPath, runtime })
+        const remotePath = `${remotePrefix}/download/${quality.name}.mp4`
+        await uploadFile(localPath, remotePath, { runtime })
+        downloads.push({
+            quality: quality.name,
+            url: `${CONFIG.cdnBaseUrl}/${remotePath}`,
+            sizeBytes: fs.statSync(localPath).size,
         })
+    }
+    log(
+        `Uploaded ${downloads.length} download rendition(s) with ${subtitleFiles.length} subtitle track(s) muxed`,
+        "info",
+        runtime?.logContext,
+    )
+    return downloads
+}
 
-        if (!fs.existsSync(outputPath)) {
-            throw new Error(`Subtitle generator did not produce output file: ${outputPath}`)
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+}
+
+function formatIsoDuration(seconds) {
+    return `PT${Math.max(0, seconds).toFixed(3)}S`
+}
+
+/**
+ * Reads an fMP4 media playlist into what a DASH SegmentTemplate needs: the
+ * init segment, a $Number$ media template and the per-segment durations.
+ * Returns null for TS playlists or segment names that do not follow a
+ * numbered pattern.
+ */
+function readCmafSegmentIndex(renditionDir) {
+    const playlistPath = path.join(renditionDir, "playlist.m3u8")
+    if (!fs.existsSync(playlistPath)) return null
+    let initialization = null
+    let pendingDuration = null
+    const segments = []
+    for (const rawLine of fs.readFileSync(playlistPath, "utf8").split(/\r?\n/)) {
+        const line = rawLine.trim()
+        const mapMatch = line.match(/^#EXT-X-MAP:.*URI="([^"]+)"/)
+        if (mapMatch) {
+            initialization = mapMatch[1]
+        } else if (line.startsWith("#EXTINF:")) {
+            pendingDuration = Number.parseFloat(line.slice("#EXTINF:".length))
+        } else if (line && !line.startsWith("#") && pendingDuration !== null) {
+            segments.push({ uri: line, duration: pendingDuration })
+            pendingDuration = null
         }
+    }
+    const firstMatch = segments[0]?.uri.match(/^(.*?)(\d+)(\.[a-z0-9]+)$/i)
+    if (!initialization || !firstMatch) return null
+    const [, prefix, digits, extension] = firstMatch
+    return {
+        initialization,
+        media: `${prefix}$Number%0${digits.length}d$${extension}`,
+        startNumber: Number.parseInt(digits, 10),
+        durations: segments.map((segment) => segment.duration),
+    }
+}
 
-        const meta = readSubtitleMeta(metaPath)
-        const detectedLanguage = normalizeSubtitleLanguage(
-            meta.language
-            || meta.detected_language
-            || (languageToken === AUTO_SUBTITLE_LANG_TOKEN ? "und" : languageToken),
-        )
+function buildSegmentTemplateXml(index, baseDir, indent) {
+    const timescale = 1000
+    const entries = []
+    let time = 0
+    for (const duration of index.durations) {
+        const d = Math.max(1, Math.round(duration * timescale))
+        const last = entries[entries.length - 1]
+        if (last && last.d === d) {
+            last.r += 1
+        } else {
+            entries.push({ t: time, d, r: 0 })
+        }
+        time += d
+    }
+    const timeline = entries
+        .map((entry) => `${indent}    <S t="${entry.t}" d="${entry.d}"${entry.r > 0 ? ` r="${entry.r}"` : ""}/>`)
+        .join("\n")
+    return [
+        `${indent}<SegmentTemplate timescale="${timescale}" startNumber="${index.startNumber}" initialization="${escapeXml(`${baseDir}/${index.initialization}`)}" media="${escapeXml(`${baseDir}/${index.media}`)}">`,
+        `${indent}  <SegmentTimeline>`,
+        timeline,
+        `${indent}  </SegmentTimeline>`,
+        `${indent}</SegmentTemplate>`,
+    ].join("\n")
+}
 
-        const baseTokenSeed = sanitizeFileToken(
-            detectedLanguage === "und" ? `auto_${index + 1}` : detectedLanguage,
-            `auto_${index + 1}`,
-        )
-        let baseToken = baseTokenSeed
-        let suffix = 2
-        while (usedBaseNames.has(baseToken)) {
-            baseToken = `${baseTokenSeed}_${suffix}`
-            suffix += 1
+/**
+ * Writes manifest.mpd referencing the HLS output's own init.mp4/m4s
+ * segments: one video adaptation set per codec (switching across codecs is
+ * not seamless), the shared audio rendition, and one text/vtt adaptation set
+ * per subtitle track. Returns the local path, or null when the output is not
+ * CMAF-compatible.
+ */
+async function writeDashManifest({ outputDir, qualities, subtitleTracks, remotePrefix, durationSeconds, runtime }) {
+    const videoEntries = []
+    for (const quality of qualities) {
+        const renditionDir = path.join(outputDir, quality.name)
+        const index = readCmafSegmentIndex(renditionDir)
+        if (!index) return null
+        const measured = measureHlsRendition(renditionDir)
+        const probed = await probeHlsRendition(renditionDir, runtime)
+        videoEntries.push({ quality, index, measured, probed })
+    }
+    const audioDir = path.join(outputDir, "audio")
+    const hasSharedAudio = fs.existsSync(path.join(audioDir, "playlist.m3u8"))
+    const audioIndex = hasSharedAudio ? readCmafSegmentIndex(audioDir) : null
+    if (hasSharedAudio && !audioIndex) return null
+    // Muxed audio+video representations are not playable in common DASH clients.
+    if (!hasSharedAudio && videoEntries.some((entry) => entry.probed?.audioCodec)) return null
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" mediaPresentationDuration="${formatIsoDuration(durationSeconds)}" minBufferTime="${formatIsoDuration(CONFIG.segmentDurationSeconds * 2)}">`,
+        '  <Period id="0" start="PT0S">',
+    ]
+    let adaptationSetId = 0
+    for (const codec of VIDEO_CODEC_ORDER) {
+        const entries = videoEntries.filter((entry) => (entry.quality.codec || "h264") === codec)
+        if (entries.length === 0) continue
+        lines.push(`    <AdaptationSet id="${adaptationSetId}" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">`)
+        adaptationSetId += 1
+        for (const { quality, index, measured, probed } of entries) {
+            const attributes = [
+                `id="${escapeXml(quality.name)}"`,
+                `bandwidth="${measured?.peakBitrate || parseBitrateToBps(quality.maxrate || quality.bitrate, 1)}"`,
+                `width="${probed?.width || quality.width}"`,
+                `height="${probed?.height || quality.height}"`,
+            ]
+            const codecs = probed?.videoCodec || buildNominalVideoCodecString(quality, probed?.fps || 30)
+            if (codecs) attributes.push(`codecs="${codecs}"`)
+            if (probed?.fps) attributes.push(`frameRate="${Number(probed.fps.toFixed(3))}"`)
+            lines.push(`      <Representation ${attributes.join(" ")}>`)
+            lines.push(buildSegmentTemplateXml(index, quality.name, "        "))
+            lines.push("      </Representation>")
         }
-        usedBaseNames.add(baseToken)
+        lines.push("    </AdaptationSet>")
+    }
+    if (audioIndex) {
+        const measured = measureHlsRendition(audioDir)
+        const probed = await probeHlsRendition(audioDir, runtime)
+        const bandwidth = measured?.peakBitrate || parseBitrateToBps(CONFIG.hlsSharedAudioBitrate, 96000)
+        lines.push(`    <AdaptationSet id="${adaptationSetId}" contentType="audio" mimeType="audio/mp4" lang="und" segmentAlignment="true" startWithSAP="1">`)
+        adaptationSetId += 1
+        lines.push(`      <Representation id="audio" bandwidth="${bandwidth}" codecs="${probed?.audioCodec || "mp4a.40.2"}">`)
+        lines.push(buildSegmentTemplateXml(audioIndex, "audio", "        "))
+        lines.push("      </Representation>")
+        lines.push("    </AdaptationSet>")
+    }
+    const prefixUrl = `${CONFIG.cdnBaseUrl}/${remotePrefix}/`
+    subtitleTracks.forEach((track, index) => {
+        const url = String(track.url || "")
+        const baseUrl = url.startsWith(prefixUrl) ? url.slice(prefixUrl.length) : url
+        lines.push(`    <AdaptationSet id="${adaptationSetId}" contentType="text" mimeType="text/vtt" lang="${escapeXml(track.lang)}">`)
+        adaptationSetId += 1
+        lines.push(`      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${track.kind === "captions" ? "caption" : "subtitle"}"/>`)
+        lines.push(`      <Label>${escapeXml(track.label)}</Label>`)
+        lines.push(`      <Representation id="text-${index}" bandwidth="256">`)
+        lines.push(`        <BaseURL>${escapeXml(baseUrl)}</BaseURL>`)
+        lines.push("      </Representation>")
+        lines.push("    </AdaptationSet>")
+    })
+    lines.push("  </Period>", "</MPD>", "")
 
-        const finalLocalPath = path.join(subtitlesDir, `${baseToken}.vtt`)
-        if (finalLocalPath !== outputPath) {
-            fs.renameSync(outputPath, finalLocalPath)
+    const manifestPath = path.join(outputDir, "manifest.mpd")
+    fs.writeFileSync(manifestPath, lines.join("\n"))
+    return manifestPath
+}
+
+/**
+ * Measures one HLS rendition directory from its playlist: total size on
+ * disk, segment count, and average/peak bitrate where peak is the highest
+ * single-segment bitrate (the figure HLS BANDWIDTH is defined against).
+ */
+function measureHlsRendition(renditionDir) {
+    const playlistPath = path.join(renditionDir, "playlist.m3u8")
+    if (!fs.existsSync(playlistPath)) return null
+
+    let pendingDuration = null
+    let durationSeconds = 0
+    let segmentBytes = 0
+    let segmentCount = 0
+    let peakBitrate = 0
+    for (const rawLine of fs.readFileSync(playlistPath, "utf8").split(/\r?\n/)) {
+        const line = rawLine.trim()
+        if (line.startsWith("#EXTINF:")) {
+            pendingDuration = Number.parseFloat(line.slice("#EXTINF:".length))
+            continue
         }
+        if (!line || line.startsWith("#") || pendingDuration === null) continue
+        const segmentPath = path.join(renditionDir, line)
+        const size = fs.existsSync(segmentPath) ? fs.statSync(segmentPath).size : 0
+        segmentCount += 1
+        segmentBytes += size
+        if (Number.isFinite(pendingDuration) && pendingDuration > 0) {
+            durationSeconds += pendingDuration
+            peakBitrate = Math.max(peakBitrate, Math.round((size * 8) / pendingDuration))
+        }
+        pendingDuration = null
+    }
 
-        const remoteSubtitlePath = `${remotePrefix}/subs/${baseToken}.vtt`
-        await uploadFile(finalLocalPath, remoteSubtitlePath)
+    let sizeBytes = 0
+    for (const entry of fs.readdirSync(renditionDir)) {
+        const stat = fs.statSync(path.join(renditionDir, entry))
+        if (stat.isFile()) sizeBytes += stat.size
+    }
 
-        generatedTracks.push({
-            lang: detectedLanguage,
-            label: buildSubtitleLabel(detectedLanguage, "auto"),
-            url: `${CONFIG.cdnBaseUrl}/${remoteSubtitlePath}`,
-            kind: "subtitles",
-            default: false,
+    return {
+        sizeBytes,
+        segmentCount,
+        durationSeconds,
+        averageBitrate: durationSeconds > 0 ? Math.round((segmentBytes * 8) / durationSeconds) : 0,
+        peakBitrate,
+    }
+}
+
+function measureHlsOutput(outputDir, qualities) {
+    const renditions = []
+    const names = [...qualities.map((quality) => quality.name), "audio", AUDIO_ONLY_RENDITION]
+    for (const name of names) {
+        const measured = measureHlsRendition(path.join(outputDir, name))
+        if (!measured) continue
+        const quality = qualities.find((item) => item.name === name)
+        renditions.push({
+            name,
+            codec: quality ? quality.codec || "h264" : "aac",
+            width: quality?.width ?? null,
+            height: quality?.height ?? null,
+            rate_control: quality ? quality.rateControl || "abr" : "abr",
+            crf: quality?.crf ?? null,
+            target_bitrate: quality ? parseBitrateToBps(quality.bitrate) : parseBitrateToBps(CONFIG.hlsSharedAudioBitrate),
+            size_bytes: measured.sizeBytes,
+            segment_count: measured.segmentCount,
+            duration_seconds: Number(measured.durationSeconds.toFixed(3)),
+            average_bitrate: measured.averageBitrate,
+            peak_bitrate: measured.peakBitrate,
         })
     }
+    return renditions
+}
 
-    return dedupeSubtitleTracks(generatedTracks)
+function buildEncodeReport(runtime, { sourceDescriptor, renditions, audioExports = [], downloads = [] }) {
+    const { stats } = runtime
+    return {
+        job_id: runtime.job.id,
+        content_item_id: runtime.job.content_item_id,
+        worker_id: CONFIG.workerId,
+        attempt_id: runtime.attemptId,
+        generated_at: new Date().toISOString(),
+        source: {
+            size_bytes: sourceDescriptor.sizeBytes,
+            duration_seconds: sourceDescriptor.durationSeconds,
+            width: sourceDescriptor.video?.displayWidth ?? null,
+            height: sourceDescriptor.video?.displayHeight ?? null,
+            fps: sourceDescriptor.video?.fps ?? null,
+        },
+        stage_durations_ms: { ...runtime.stageDurationsMs },
+        total_duration_ms: Date.now() - runtime.startedAt,
+        transcode: stats.transcode,
+        renditions,
+        segment_count: renditions.reduce((total, rendition) => total + rendition.segment_count, 0),
+        audio_exports: audioExports.map((output) => ({ format: output.format, size_bytes: output.sizeBytes })),
+        downloads: downloads.map((download) => ({ quality: download.quality, size_bytes: download.sizeBytes })),
+        bytes_downloaded: stats.bytesDownloaded,
+        bytes_uploaded: stats.bytesUploaded,
+        upload_retries: stats.uploadRetries,
+        subtitles: stats.subtitles,
+    }
 }
 
-async function processJob(job) {
+async function processJob(job, runtime) {
     const workDir = path.join(CONFIG.tempDir, job.id)
     const sourcePath = path.join(workDir, "input.mp4")
     const outputDir = path.join(workDir, "hls")
+    const sourceMarkerPath = path.join(workDir, SOURCE_COMPLETE_MARKER)
+    const transcodeMarkerPath = path.join(workDir, TRANSCODE_COMPLETE_MARKER)
     ensureDir(workDir)
+    runtime.uploadCheckpoint = openUploadCheckpoint(workDir)
+    let keepWorkDir = false
 
     try {
-        await markJobProgress(job.id, {
-            stage: "preparing_source",
-            message: "Downloading source video",
-        })
-        log(`Downloading source for job ${job.id}`)
-        await downloadSourceForJob(job, sourcePath)
+        enterJobStage(runtime, JOB_STAGES.download)
+        const sourceMarker = readJsonFile(sourceMarkerPath)
+        if (
+            sourceMarker
+            && fs.existsSync(sourcePath)
+            && fs.statSync(sourcePath).size === sourceMarker.size
+        ) {
+            log(`Reusing source downloaded by a previous attempt of job ${job.id}`, "info", runtime.logContext)
+            // Reported as the source size either way, so the figure does not depend on which attempt fetched it.
+            runtime.stats.bytesDownloaded = sourceMarker.size
+        } else {
+            await markJobProgress(job.id, {
+                stage: "preparing_source",
+                message: "Downloading source video",
+            })
+            log(`Downloading source for job ${job.id}`, "info", runtime.logContext)
+            await downloadSourceForJob(job, sourcePath, runtime)
+            throwIfJobAborted(runtime)
+            runtime.stats.bytesDownloaded = fs.statSync(sourcePath).size
+            writeJsonFile(sourceMarkerPath, { size: runtime.stats.bytesDownloaded })
+        }
 
-        const duration = getVideoDuration(sourcePath)
-        const hasAudio = hasAudioStream(sourcePath)
+        enterJobStage(runtime, JOB_STAGES.probe)
         const subtitleOnly = isSubtitleOnlyJob(job)
+        // Full encodes publish into a fresh version prefix; subtitle-only jobs write into the live one.
+        runtime.checkPreexistingKeys = subtitleOnly
+        const sourceDescriptor = await probeSource(sourcePath, runtime)
+        log(`Source for job ${job.id}: ${formatSourceDescriptorLog(sourceDescriptor)}`, "info", runtime.logContext)
+        await validateSource(sourcePath, sourceDescriptor, {
+            requireVideo: !subtitleOnly,
+            decodeAudio: subtitleOnly && isAutoSubtitleModeEnabled(),
+            runtime,
+        })
+        const duration = Math.max(0, Math.round(sourceDescriptor.durationSeconds))
+        const hasAudio = sourceDescriptor.audioStreams.length > 0
         const manualSubtitleTracks = extractSubtitleTracksFromJob(job)
         const autoSubtitleLanguages = resolveAutoSubtitleLanguagesForJob(job)
         const requestedQualitiesLog = Array.isArray(job.requested_qualities) && job.requested_qualities.length > 0
@@ -1340,55 +5022,236 @@ async function processJob(job) {
             : AUTO_SUBTITLE_LANG_TOKEN
         const defaultRemotePrefix = `hls/${job.content_item_id}`
         const existingMasterUrl = resolveExistingMasterUrl(job)
-        const remotePrefix = subtitleOnly
+        // Full encodes switch to their own hls/{id}/v{n} prefix when the upload starts.
+        let remotePrefix = subtitleOnly
             ? deriveRemotePrefixFromMasterUrl(existingMasterUrl) || defaultRemotePrefix
             : defaultRemotePrefix
         let masterUrl = existingMasterUrl || `${CONFIG.cdnBaseUrl}/${remotePrefix}/master.m3u8`
         let qualityUrls = subtitleOnly
             ? extractQualityUrlsFromMetadata(getContentMetadataFromJob(job))
             : {}
+        let renditions = []
+        let visualAssets = null
+        let audioExports = []
+        let downloadQualities = []
+        let downloads = []
+        let dashUrl
+        let encodedQualities = []
+        let encryptedOutput = false
+        let ladder
 
         if (subtitleOnly) {
+            releaseCpuStageGate(runtime)
             const existingQualitiesLog = Object.keys(qualityUrls).length > 0
                 ? Object.keys(qualityUrls).join(",")
                 : "unknown"
             log(
                 `Subtitle-only job ${job.id}: duration=${duration || "?"}s audio=${hasAudio} requested=${requestedQualitiesLog} existing_qualities=${existingQualitiesLog} subtitle_mode=${subtitleModeLog} manual_subtitles=${manualSubtitleLog} auto_languages=${autoLanguagesLog}`,
+                "info",
+                runtime.logContext,
             )
             await markJobProgress(job.id, {
                 stage: "processing",
                 message: "Skipping HLS transcode (subtitle regeneration only)",
             })
         } else {
-            const videoInfo = getVideoInfo(sourcePath)
-            const fps = getVideoFps(sourcePath)
-            const selectedQualities = selectQualitiesForJob(job, videoInfo)
+            const videoInfo = {
+                width: sourceDescriptor.video.displayWidth,
+                height: sourceDescriptor.video.displayHeight,
+            }
+            const fps = sourceDescriptor.video.fps || 30
+            let contentAnalysis = null
+            if (resolvePerTitleForJob(job)) {
+                enterJobStage(runtime, JOB_STAGES.analysis)
+                await markJobProgress(job.id, {
+                    stage: "analyzing_content",
+                    message: "Sampling source complexity for the per-title ladder",
+                })
+                try {
+                    contentAnalysis = await withCpuStageSlot(runtime, "analysis", () => analyzeContentComplexity({
+                        inputPath: sourcePath,
+                        descriptor: sourceDescriptor,
+                        workDir,
+                        runtime,
+                    }))
+                } catch (error) {
+                    throwIfJobAborted(runtime)
+                    const message = error instanceof Error ? error.message : String(error)
+                    log(`Content analysis failed for job ${job.id}, using the static ladder: ${message}`, "warn", runtime.logContext)
+                    contentAnalysis = { error: message }
+                }
+            }
+            const ladderSelection = selectQualitiesForJob(job, videoInfo, contentAnalysis)
+            const selectedQualities = ladderSelection.qualities
+            ladder = ladderSelection.ladder
+            encodedQualities = selectedQualities
+            log(
+                `Ladder for job ${job.id} (${ladder.mode}): ${ladder.rungs.map((rung) => `${rung.name}:${rung.codec}:${rung.action === "dropped" ? "dropped" : rung.bitrate}`).join(",")}; ${ladder.reason}`,
+                "info",
+                runtime.logContext,
+            )
             const selectedQualitiesLog = selectedQualities.map((quality) => quality.name).join(",")
 
             log(
                 `Transcoding job ${job.id}: duration=${duration || "?"}s size=${videoInfo.width || "?"}x${videoInfo.height || "?"} fps=${fps.toFixed(
                     2,
                 )} audio=${hasAudio} requested=${requestedQualitiesLog} selected=${selectedQualitiesLog} subtitle_mode=${subtitleModeLog} manual_subtitles=${manualSubtitleLog} auto_languages=${autoLanguagesLog}`,
+                "info",
+                runtime.logContext,
             )
 
+            enterJobStage(runtime, JOB_STAGES.transcode)
+            const transcodeMessage = `Transcoding HLS renditions (${selectedQualitiesLog})`
             await markJobProgress(job.id, {
                 stage: "transcoding_hls",
-                message: `Transcoding HLS renditions (${selectedQualitiesLog})`,
+                message: transcodeMessage,
             })
-            await transcodeToHls({
-                inputPath: sourcePath,
-                outputDir,
+            // Output from a failed attempt is reused only if it was encoded with the same settings.
+            const encryption = resolveEncryptionForJob(job)
+            const transcodeFingerprint = {
+                encryption,
                 qualities: selectedQualities,
-                fps,
-                hasAudio,
-            })
+                segmentType: CONFIG.hlsSegmentType,
+                segmentDurationSeconds: CONFIG.segmentDurationSeconds,
+                sharedAudioTrack: CONFIG.hlsSharedAudioTrack,
+                sharedAudioBitrate: CONFIG.hlsSharedAudioBitrate,
+                preset: CONFIG.ffmpegPreset,
+            }
+            const transcodeMarker = readJsonFile(transcodeMarkerPath)
+            if (transcodeMarker && JSON.stringify(transcodeMarker) === JSON.stringify(transcodeFingerprint)) {
+                log(`Reusing HLS output from a previous attempt of job ${job.id}`, "info", runtime.logContext)
+                runtime.stats.transcode = { reused: true, preset: CONFIG.ffmpegPreset }
+            } else {
+                cleanDir(outputDir)
+                const reportTranscodeProgress = createStageProgressReporter(job.id, {
+                    stage: "transcoding_hls",
+                    message: transcodeMessage,
+                    durationSeconds: duration,
+                })
+                let lastFfmpegSpeed = null
+                await withCpuStageSlot(runtime, "transcode", async () => {
+                    const encodeStartedAt = Date.now()
+                    await transcodeToHls({
+                        inputPath: sourcePath,
+                        outputDir,
+                        qualities: selectedQualities,
+                        fps,
+                        hasAudio,
+                        runtime,
+                        onProgress: ({ outTimeSeconds, speed, pass, passCount }) => {
+                            if (speed !== null) lastFfmpegSpeed = speed
+                            // With a first pass, each pass covers an equal share of the stage.
+                            reportTranscodeProgress({
+                                processedSeconds: passCount > 1 && Number.isFinite(outTimeSeconds)
+                                    ? ((pass - 1) * duration + outTimeSeconds) / passCount
+                                    : outTimeSeconds,
+                                speed,
+                            })
+                        },
+                    })
+                    const encodeSeconds = (Date.now() - encodeStartedAt) / 1000
+                    const speedRatio = duration > 0 && encodeSeconds > 0 ? duration / encodeSeconds : null
+                    if (speedRatio !== null) {
+                        metrics.transcodeSpeed.observe({}, speedRatio)
+                    }
+                    runtime.stats.transcode = {
+                        reused: false,
+                        preset: CONFIG.ffmpegPreset,
+                        encode_seconds: Number(encodeSeconds.toFixed(3)),
+                        speed_ratio: speedRatio === null ? null : Number(speedRatio.toFixed(3)),
+                        ffmpeg_reported_speed: lastFfmpegSpeed,
+                    }
+                })
+                // After the master is built (it probes the clear renditions) and before the output is marked complete.
+                if (encryption) {
+                    const keys = await encryptHlsOutput({ job, outputDir, workDir, settings: encryption, runtime })
+                    log(`Encrypted HLS output with ${keys.length} AES-128 key(s)`, "info", runtime.logContext)
+                }
+                writeJsonFile(transcodeMarkerPath, transcodeFingerprint)
+            }
+            encryptedOutput = !!encryption
 
-            log(`Uploading HLS output for job ${job.id} to ${remotePrefix}`)
+            if (CONFIG.thumbnails.enabled) {
+                enterJobStage(runtime, JOB_STAGES.thumbnails)
+                await markJobProgress(job.id, {
+                    stage: "generating_thumbnails",
+                    message: "Generating poster and timeline thumbnails",
+                })
+                // Thumbnails are a nice-to-have: a failure here must not throw away a finished encode.
+                try {
+                    visualAssets = await withCpuStageSlot(runtime, "thumbnails", () => generateVisualAssets({
+                        inputPath: sourcePath,
+                        outputDir,
+                        descriptor: sourceDescriptor,
+                        runtime,
+                    }))
+                } catch (error) {
+                    throwIfJobAborted(runtime)
+                    const message = error instanceof Error ? error.message : String(error)
+                    log(`Poster/thumbnail generation failed for job ${job.id}: ${message}`, "warn", runtime.logContext)
+                    fs.rmSync(path.join(outputDir, THUMBNAIL_SPRITE_DIR), { recursive: true, force: true })
+                    fs.rmSync(path.join(outputDir, `poster.${CONFIG.thumbnails.posterFormat}`), { force: true })
+                }
+            }
+            releaseCpuStageGate(runtime)
+
+            // A clear download file would defeat segment encryption, so encrypted titles get none.
+            const audioExportFormats = hasAudio && !encryptedOutput ? resolveAudioExportFormatsForJob(job) : []
+            if (audioExportFormats.length > 0) {
+                enterJobStage(runtime, JOB_STAGES.audioExport)
+                await markJobProgress(job.id, {
+                    stage: "exporting_audio",
+                    message: `Exporting audio download (${audioExportFormats.join(",")})`,
+                })
+                try {
+                    audioExports = await withCpuStageSlot(runtime, "audio export", () => exportAudioDownloads({
+                        job,
+                        inputPath: sourcePath,
+                        outputDir,
+                        formats: audioExportFormats,
+                        durationSeconds: sourceDescriptor.durationSeconds,
+                        runtime,
+                    }))
+                } catch (error) {
+                    throwIfJobAborted(runtime)
+                    const message = error instanceof Error ? error.message : String(error)
+                    log(`Audio export failed for job ${job.id}: ${message}`, "warn", runtime.logContext)
+                    for (const format of audioExportFormats) {
+                        fs.rmSync(path.join(outputDir, `audio.${format}.part`), { force: true })
+                    }
+                }
+            }
+            renditions = measureHlsOutput(outputDir, selectedQualities)
+            downloadQualities = encryptedOutput ? [] : resolveDownloadQualitiesForJob(job, selectedQualities)
+
+            // Keys must be known to the key server before any encrypted segment becomes reachable.
+            if (encryptedOutput) {
+                enterJobStage(runtime, JOB_STAGES.api)
+                const keys = readJsonFile(path.join(workDir, HLS_KEYS_FILE))
+                if (!Array.isArray(keys) || keys.length === 0) {
+                    throw new Error(`Encrypted output of job ${job.id} has no key file`)
+                }
+                await registerContentKeys(runtime, keys)
+            }
+
+            enterJobStage(runtime, JOB_STAGES.upload)
+            remotePrefix = await resolvePublishPrefix(job, workDir, runtime.attemptId)
+            log(
+                runtime.uploadCheckpoint.resumed
+                    ? `Resuming HLS upload for job ${job.id} to ${remotePrefix} (${runtime.uploadCheckpoint.size()} object(s) checkpointed)`
+                    : `Uploading HLS output for job ${job.id} to ${remotePrefix}`,
+                "info",
+                runtime.logContext,
+            )
             await markJobProgress(job.id, {
                 stage: "uploading_hls",
                 message: "Uploading HLS segments and playlists",
             })
-            await uploadDirectory(outputDir, remotePrefix, CONFIG.uploadConcurrency)
+            throwIfJobAborted(runtime)
+            // master.m3u8 is published last, after subtitles, DASH and downloads are in place.
+            await uploadDirectory(outputDir, remotePrefix, CONFIG.uploadConcurrency, runtime, {
+                holdBack: ["master.m3u8"],
+            })
 
             masterUrl = `${CONFIG.cdnBaseUrl}/${remotePrefix}/master.m3u8`
             qualityUrls = {}
@@ -1397,6 +5260,7 @@ async function processJob(job) {
             }
         }
 
+        enterJobStage(runtime, JOB_STAGES.subtitle)
         let uploadedManualTracks = []
         if (isManualSubtitleModeEnabled()) {
             await markJobProgress(job.id, {
@@ -1410,38 +5274,71 @@ async function processJob(job) {
                     subtitleTracks: manualSubtitleTracks,
                     workDir,
                     remotePrefix,
+                    runtime,
                 })
             }
         }
 
         let uploadedAutoTracks = []
         if (isAutoSubtitleModeEnabled()) {
+            const autoSubtitleMessage = autoSubtitleLanguages.length > 0
+                ? `Generating auto subtitles (${autoSubtitleLanguages.join(",")})`
+                : "Generating auto subtitles (auto-detect)"
             await markJobProgress(job.id, {
                 stage: "generating_auto_subtitles",
-                message: autoSubtitleLanguages.length > 0
-                    ? `Generating auto subtitles (${autoSubtitleLanguages.join(",")})`
-                    : "Generating auto subtitles (auto-detect)",
+                message: autoSubtitleMessage,
+            })
+            // Percent spans all requested languages; each track covers an equal share.
+            const reportAutoSubtitleProgress = createStageProgressReporter(job.id, {
+                stage: "generating_auto_subtitles",
+                message: autoSubtitleMessage,
             })
             if (!hasAudio) {
                 const message = `Auto subtitle generation skipped for job ${job.id}: source has no audio stream`
                 if (CONFIG.subtitles.required) {
-                    throw new Error(`${message} and SUBTITLE_REQUIRED=true`)
+                    throw createJobError({
+                        code: "SUBTITLE_NO_AUDIO",
+                        stage: JOB_STAGES.subtitle,
+                        message: `${message} and SUBTITLE_REQUIRED=true`,
+                        retryable: false,
+                    })
                 }
-                log(message, "warn")
+                log(message, "warn", runtime.logContext)
             } else {
+                const subtitleStartedAt = Date.now()
                 try {
                     uploadedAutoTracks = await processAutoSubtitleTracks({
                         sourcePath,
                         workDir,
                         remotePrefix,
                         requestedLanguages: autoSubtitleLanguages,
+                        runtime,
+                        onProgress: ({ processedSeconds, percent, trackIndex, trackCount }) => {
+                            const trackPercent = duration > 0 && Number.isFinite(processedSeconds)
+                                ? (processedSeconds / duration) * 100
+                                : percent
+                            if (!Number.isFinite(trackPercent)) return
+                            reportAutoSubtitleProgress({
+                                percent: ((trackIndex + Math.min(100, trackPercent) / 100) / trackCount) * 100,
+                            })
+                        },
                     })
                 } catch (error) {
+                    throwIfJobAborted(runtime)
                     const message = error instanceof Error ? error.message : String(error)
                     if (CONFIG.subtitles.required) {
-                        throw new Error(`Auto subtitle generation failed: ${message}`)
+                        throw new Error(`Auto subtitle generation failed: ${message}`, { cause: error })
+                    }
+                    log(`Auto subtitle generation failed for job ${job.id}: ${message}`, "warn", runtime.logContext)
+                } finally {
+                    runtime.stats.subtitles = {
+                        generation_ms: Date.now() - subtitleStartedAt,
+                        model: CONFIG.subtitles.model,
+                        device: CONFIG.subtitles.device,
+                        compute_type: CONFIG.subtitles.computeType,
+                        languages: autoSubtitleLanguages,
+                        tracks_generated: uploadedAutoTracks.length,
                     }
-                    log(`Auto subtitle generation failed for job ${job.id}: ${message}`, "warn")
                 }
             }
         }
@@ -1456,46 +5353,428 @@ async function processJob(job) {
         }
         finalizedSubtitleTracks = ensureDefaultSubtitleTrack(dedupeSubtitleTracks(finalizedSubtitleTracks))
         if (finalizedSubtitleTracks.length > 0) {
-            log(`Uploaded ${finalizedSubtitleTracks.length} subtitle track(s) for job ${job.id}`)
+            log(`Uploaded ${finalizedSubtitleTracks.length} subtitle track(s) for job ${job.id}`, "info", runtime.logContext)
+        }
+
+        // Runs after subtitles so the finished tracks can be muxed into the file.
+        if (downloadQualities.length > 0) {
+            enterJobStage(runtime, JOB_STAGES.downloadRendition)
+            await markJobProgress(job.id, {
+                stage: "creating_downloads",
+                message: `Creating download file(s) (${downloadQualities.map((quality) => quality.name).join(",")})`,
+            })
+            try {
+                downloads = await produceDownloadRenditions({
+                    qualities: downloadQualities,
+                    outputDir,
+                    workDir,
+                    remotePrefix,
+                    subtitleTracks: finalizedSubtitleTracks,
+                    runtime,
+                })
+            } catch (error) {
+                throwIfJobAborted(runtime)
+                const message = error instanceof Error ? error.message : String(error)
+                log(`Download rendition failed for job ${job.id}: ${message}`, "warn", runtime.logContext)
+            }
+        }
+
+        // Written after subtitles so their adaptation sets can be included.
+        // Whole-segment AES-128 is HLS-only; DASH players expect CENC.
+        if (CONFIG.dashEnabled && !subtitleOnly && !encryptedOutput) {
+            enterJobStage(runtime, JOB_STAGES.upload)
+            try {
+                const manifestPath = await writeDashManifest({
+                    outputDir,
+                    qualities: encodedQualities,
+                    subtitleTracks: finalizedSubtitleTracks,
+                    remotePrefix,
+                    durationSeconds: sourceDescriptor.durationSeconds,
+                    runtime,
+                })
+                if (manifestPath) {
+                    await uploadFile(manifestPath, `${remotePrefix}/manifest.mpd`, { runtime })
+                    dashUrl = `${CONFIG.cdnBaseUrl}/${remotePrefix}/manifest.mpd`
+                } else {
+                    log(
+                        `Skipping DASH manifest for job ${job.id}: output is not fMP4 with a separate audio rendition`,
+                        "warn",
+                        runtime.logContext,
+                    )
+                }
+            } catch (error) {
+                throwIfJobAborted(runtime)
+                const message = error instanceof Error ? error.message : String(error)
+                log(`DASH manifest failed for job ${job.id}: ${message}`, "warn", runtime.logContext)
+            }
         }
 
+        // Never report completion for a job whose lease was lost mid-pipeline.
+        throwIfJobAborted(runtime)
+        enterJobStage(runtime, JOB_STAGES.api)
         await markJobProgress(job.id, {
             stage: "finalizing",
             message: "Finalizing playback metadata",
         })
-        await markJobComplete(job.id, {
+        const encodeReport = buildEncodeReport(runtime, { sourceDescriptor, renditions, audioExports, downloads })
+        // Subtitle-only runs share the prefix of the original encode; keep its report.json intact.
+        if (!subtitleOnly) {
+            const reportPath = path.join(workDir, "report.json")
+            writeJsonFile(reportPath, encodeReport)
+            try {
+                await uploadFile(reportPath, `${remotePrefix}/report.json`, { runtime })
+            } catch (error) {
+                throwIfJobAborted(runtime)
+                const message = error instanceof Error ? error.message : String(error)
+                log(`Encode report upload failed for job ${job.id}: ${message}`, "warn", runtime.logContext)
+            }
+
+            // Everything this version references is uploaded; the master makes it playable.
+            enterJobStage(runtime, JOB_STAGES.upload)
+            await uploadFile(path.join(outputDir, "master.m3u8"), `${remotePrefix}/master.m3u8`, { runtime })
+            throwIfJobAborted(runtime)
+            enterJobStage(runtime, JOB_STAGES.api)
+        }
+        const completionDelivered = await markJobComplete(runtime, {
             master_url: masterUrl,
             quality_urls: qualityUrls,
             duration_seconds: duration,
             subtitle_tracks: finalizedSubtitleTracks,
+            poster_url: visualAssets ? `${CONFIG.cdnBaseUrl}/${remotePrefix}/${visualAssets.posterFile}` : undefined,
+            thumbnails_vtt_url: visualAssets ? `${CONFIG.cdnBaseUrl}/${remotePrefix}/${visualAssets.vttFile}` : undefined,
+            audio_download_url: audioExports.length > 0
+                ? `${CONFIG.cdnBaseUrl}/${remotePrefix}/${audioExports[0].file}`
+                : undefined,
+            audio_download_urls: audioExports.length > 0
+                ? Object.fromEntries(audioExports.map((output) => [
+                    output.format,
+                    `${CONFIG.cdnBaseUrl}/${remotePrefix}/${output.file}`,
+                ]))
+                : undefined,
+            dash_url: dashUrl,
+            ladder,
+            publish_version: subtitleOnly ? undefined : parsePublishedPrefix(remotePrefix)?.version,
+            encrypted: encryptedOutput || undefined,
+            download_urls: downloads.length > 0
+                ? Object.fromEntries(downloads.map((download) => [download.quality, download.url]))
+                : undefined,
+            report: encodeReport,
         })
-        log(`Job ${job.id} completed`)
+        finishJobStage(runtime)
+        if (completionDelivered && !subtitleOnly) {
+            schedulePublishCleanup(masterUrl)
+        }
+        log(
+            completionDelivered
+                ? `Job ${job.id} completed`
+                : `Job ${job.id} completed; completion report is queued in the outbox`,
+            "info",
+            {
+                ...runtime.logContext,
+                duration_ms: Date.now() - runtime.startedAt,
+                stage_durations_ms: runtime.stageDurationsMs,
+            },
+        )
+        return completionDelivered
+    } catch (error) {
+        if (runtime.signal.aborted) throw error
+        // Aborted jobs (cancel, shutdown, lost lease) start from scratch; plain failures may be retried,
+        // by the queue or by an operator, whether or not the error is marked retryable.
+        keepWorkDir = true
+        throw toJobError(error, runtime.stage)
     } finally {
-        cleanDir(workDir)
+        finishJobStage(runtime)
+        if (keepWorkDir) {
+            log(`Keeping work dir ${workDir} for a retry of job ${job.id}`, "info", runtime.logContext)
+        } else {
+            cleanDir(workDir)
+        }
+    }
+}
+
+function abortActiveJobsForShutdown(message) {
+    for (const runtime of activeJobRuntimes.values()) {
+        runtime.abort(JOB_ABORT_SHUTDOWN, message)
+    }
+}
+
+function checkCommandAvailable(command, args) {
+    return new Promise((resolve) => {
+        const child = spawn(command, args, { stdio: "ignore" })
+        const timer = setTimeout(() => child.kill("SIGKILL"), 10000)
+        child.on("error", (error) => {
+            clearTimeout(timer)
+            resolve({ ok: false, error: error.message })
+        })
+        child.on("close", (code) => {
+            clearTimeout(timer)
+            resolve(code === 0 ? { ok: true } : { ok: false, error: `${command} exited with code ${code}` })
+        })
+    })
+}
+
+async function runReadinessCheck(check) {
+    try {
+        await check()
+        return { ok: true }
+    } catch (error) {
+        return { ok: false, error: error instanceof Error ? error.message : String(error) }
+    }
+}
+
+/**
+ * Reads the per-job route the status poll uses, for an id that does not
+ * exist. Any answer short of 401/403 or a 5xx means the API is up and takes
+ * the key, so a 404 (or 405 from a server without the route) still passes.
+ */
+async function checkApiReadiness(timeoutMs) {
+    try {
+        await apiRequest("GET", "/api/admin/encoding-jobs/readiness-probe", undefined, { timeoutMs, maxAttempts: 1 })
+    } catch (error) {
+        const status = Number(error?.status || 0)
+        if (!status || status === 401 || status === 403 || status >= 500) throw error
+    }
+}
+
+async function collectReadinessChecks() {
+    const timeoutMs = Math.min(CONFIG.apiTimeoutMs, 5000)
+    const entries = [
+        // Authenticated, so a revoked or mistyped ADMIN_API_KEY fails readiness too.
+        ["api", runReadinessCheck(() => checkApiReadiness(timeoutMs))],
+        ["b2", runReadinessCheck(() => s3Client.send(
+            new HeadBucketCommand({ Bucket: CONFIG.b2.bucketName }),
+            { abortSignal: AbortSignal.timeout(timeoutMs) },
+        ))],
+        ["ffmpeg", checkCommandAvailable("ffmpeg", ["-version"])],
+        ["ffprobe", checkCommandAvailable("ffprobe", ["-version"])],
+    ]
+    if (isAutoSubtitleModeEnabled()) {
+        entries.push(["python", checkCommandAvailable(CONFIG.subtitles.pythonBin, ["--version"])])
+    }
+    const checks = {}
+    for (const [name, pending] of entries) {
+        checks[name] = await pending
+    }
+    return checks
+}
+
+/**
+ * Serves /healthz (claim loop alive), /readyz (dependencies usable) and
+ * /metrics (Prometheus text format). Readiness results are cached for
+ * readinessCacheMs so frequent probes do not hammer the API or B2.
+ * Returns a function that closes the server.
+ */
+function startHealthServer() {
+    let readiness = null
+    let readinessAt = 0
+    let readinessPending = null
+
+    const getReadiness = async () => {
+        if (readiness && Date.now() - readinessAt < CONFIG.readinessCacheMs) return readiness
+        if (!readinessPending) {
+            readinessPending = collectReadinessChecks()
+                .then((checks) => {
+                    readiness = checks
+                    readinessAt = Date.now()
+                    return checks
+                })
+                .finally(() => {
+                    readinessPending = null
+                })
+        }
+        return readinessPending
     }
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" })
+        res.end(JSON.stringify(body))
+    }
+
+    const server = http.createServer((req, res) => {
+        const pathname = (req.url || "/").split("?")[0]
+        if (req.method !== "GET") {
+            res.writeHead(405)
+            res.end()
+            return
+        }
+        if (pathname === "/healthz") {
+            const sinceTickMs = Date.now() - queuePoll.lastTickAt
+            const alive = sinceTickMs < CONFIG.livenessStaleMs
+            sendJson(res, alive ? 200 : 503, {
+                ok: alive,
+                state: queuePoll.state,
+                active_jobs: activeJobRuntimes.size,
+                since_last_tick_ms: sinceTickMs,
+            })
+            return
+        }
+        if (pathname === "/readyz") {
+            getReadiness()
+                .then((checks) => {
+                    const ready = !shouldStop && Object.values(checks).every((check) => check.ok)
+                    sendJson(res, ready ? 200 : 503, { ready, draining: shouldStop, checks })
+                })
+                .catch((error) => {
+                    const message = error instanceof Error ? error.message : String(error)
+                    sendJson(res, 503, { ready: false, error: message })
+                })
+            return
+        }
+        if (pathname === "/metrics") {
+            res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" })
+            res.end(metricsRegistry.render())
+            return
+        }
+        res.writeHead(404)
+        res.end()
+    })
+    server.on("error", (error) => {
+        log(`Health server error: ${error.message}`, "error")
+    })
+    server.listen(CONFIG.metricsPort, CONFIG.metricsHost, () => {
+        log(`Health and metrics server listening on ${CONFIG.metricsHost}:${CONFIG.metricsPort}`)
+    })
+    return () => server.close()
 }
 
+/**
+ * First signal enters drain mode: no new claims, and in-flight jobs get
+ * CONFIG.shutdownGraceMs to finish before they are aborted and released back
+ * to the queue. A second signal skips the remaining grace period.
+ */
 function setupSignalHandlers() {
     const requestStop = (signalName) => {
-        if (shouldStop) return
+        if (shouldStop) {
+            if (activeJobRuntimes.size > 0) {
+                log(`Received ${signalName} again, releasing in-flight job(s) now`, "warn")
+                abortActiveJobsForShutdown(`Worker received a second ${signalName}`)
+            }
+            return
+        }
         shouldStop = true
-        log(`Received ${signalName}, will stop after current iteration`)
+        wakeIdleSleep?.()
+        if (activeJobRuntimes.size === 0) {
+            log(`Received ${signalName}, stopping`)
+            return
+        }
+        log(
+            `Received ${signalName}, draining: in-flight job(s) have ${CONFIG.shutdownGraceMs}ms before release back to the queue`,
+        )
+        shutdownTimer = setTimeout(() => {
+            log("Shutdown grace period elapsed, releasing in-flight job(s)", "warn")
+            abortActiveJobsForShutdown(`Shutdown grace period of ${CONFIG.shutdownGraceMs}ms elapsed`)
+        }, CONFIG.shutdownGraceMs)
+        shutdownTimer.unref()
     }
     process.on("SIGTERM", () => requestStop("SIGTERM"))
     process.on("SIGINT", () => requestStop("SIGINT"))
 }
 
+/**
+ * A job leaves the CPU stage gate once its main encode is finished (or
+ * skipped), which lets runLoop claim another job while this one uploads
+ * or generates subtitles.
+ */
+function releaseCpuStageGate(runtime) {
+    if (!runtime.awaitingCpuStage) return
+    runtime.awaitingCpuStage = false
+    wakeIdleSleep?.()
+}
+
+function canClaimMoreJobs() {
+    if (activeJobRuntimes.size >= CONFIG.maxConcurrentJobs) return false
+    let awaitingCpu = 0
+    for (const runtime of activeJobRuntimes.values()) {
+        if (runtime.awaitingCpuStage) awaitingCpu += 1
+    }
+    return awaitingCpu < CONFIG.maxCpuHeavyStages
+}
+
+async function runJob(job) {
+    const runtime = createJobRuntime(job)
+    activeJobRuntimes.set(job.id, runtime)
+    const stopHeartbeat = startJobHeartbeat(runtime)
+    const stopStatusPoll = startJobStatusPoll(runtime)
+    try {
+        // A completion still queued in the outbox is counted when the replayer delivers it.
+        if (await processJob(job, runtime)) {
+            metrics.jobsCompleted.inc()
+        }
+    } catch (error) {
+        const message = error instanceof Error ? error.message : String(error)
+        if (runtime.signal.aborted) {
+            metrics.jobsAborted.inc({ reason: runtime.signal.reason.abortReason })
+            log(`Job ${job.id} aborted: ${runtime.signal.reason.message}`, "warn", {
+                ...runtime.logContext,
+                duration_ms: Date.now() - runtime.startedAt,
+            })
+            if (runtime.signal.reason.abortReason === JOB_ABORT_CANCELLED) {
+                await handleCancelledJob(runtime)
+            } else if (runtime.signal.reason.abortReason === JOB_ABORT_SHUTDOWN) {
+                try {
+                    await releaseJob(runtime, JOB_ABORT_SHUTDOWN)
+                    log(`Released job ${job.id} back to the queue`, "info", runtime.logContext)
+                } catch (releaseError) {
+                    const releaseMessage = releaseError instanceof Error ? releaseError.message : String(releaseError)
+                    log(`Release failed for job ${job.id}: ${releaseMessage}`, "warn", runtime.logContext)
+                }
+            }
+        } else {
+            const jobError = toJobError(error, runtime.stage)
+            metrics.jobsFailed.inc({
+                stage: jobError.stage || "unknown",
+                code: jobError.code,
+                retryable: String(jobError.retryable),
+            })
+            log(
+                `Job ${job.id} failed [${jobError.code} stage=${jobError.stage || "?"} retryable=${jobError.retryable}]: ${message}`,
+                "error",
+                {
+                    ...runtime.logContext,
+                    error_code: jobError.code,
+                    retryable: jobError.retryable,
+                    duration_ms: Date.now() - runtime.startedAt,
+                    stage_durations_ms: runtime.stageDurationsMs,
+                },
+            )
+            await markJobFailed(runtime, jobError)
+        }
+    } finally {
+        stopHeartbeat()
+        stopStatusPoll()
+        activeJobRuntimes.delete(job.id)
+        wakeIdleSleep?.()
+        pruneStaleWorkDirs()
+    }
+}
+
 async function runLoop() {
     ensureDir(CONFIG.tempDir)
+    pruneStaleWorkDirs()
     setupSignalHandlers()
-    log(`Encoder worker started (worker_id=${CONFIG.workerId})`)
+    const stopOutboxReplayer = startOutboxReplayer()
+    const stopPublishCleanupSweeper = startPublishCleanupSweeper()
+    const stopHealthServer = CONFIG.metricsPort > 0 ? startHealthServer() : () => {}
+    log(`Encoder worker started (worker_id=${CONFIG.workerId}, log_format=${CONFIG.logFormat})`)
     log(`API base: ${CONFIG.adminApiBaseUrl}`)
     log(`B2 bucket: ${CONFIG.b2.bucketName}`)
     log(`B2 region: ${CONFIG.b2.region}`)
     log(`Upload concurrency: ${CONFIG.uploadConcurrency}`)
+    log(
+        `Job concurrency: max_jobs=${CONFIG.maxConcurrentJobs} max_cpu_stages=${CONFIG.maxCpuHeavyStages} ffmpeg_threads=${resolveFfmpegThreadBudget() || "auto"}`,
+    )
+    log(`Shutdown grace period: ${CONFIG.shutdownGraceMs}ms`)
     log(`HLS segment type: ${CONFIG.hlsSegmentType}`)
     log(`HLS shared audio track: enabled=${CONFIG.hlsSharedAudioTrack} bitrate=${CONFIG.hlsSharedAudioBitrate}`)
-    log(`HLS ladder: ${CONFIG.qualities.map((quality) => `${quality.name}:${quality.bitrate}`).join(",")}`)
+    log(
+        `HLS ladder: ${CONFIG.qualities.map((quality) => `${quality.name}:${quality.codec}:${quality.rateControl === "crf" ? `crf${quality.crf}<=${quality.maxrate}` : `${quality.rateControl === "2pass" ? "2pass:" : ""}${quality.bitrate}`}`).join(",")}`,
+    )
+    log(
+        `Publish cleanup: enabled=${CONFIG.publishCleanupEnabled} delay_hours=${CONFIG.publishCleanupDelayHours}`,
+    )
+    log(
+        `Per-title ladder: enabled=${CONFIG.perTitle.enabled} probe_crf=${CONFIG.perTitle.probeCrf} min_bitrate=${CONFIG.perTitle.minBitrate} max_bitrate_percent=${CONFIG.perTitle.maxBitratePercent}`,
+    )
     log(`Cache policy: playlists="${CONFIG.playlistCacheControl}" segments="${CONFIG.segmentCacheControl}"`)
     log(`Subtitle mode: ${CONFIG.subtitles.mode}`)
     if (isAutoSubtitleModeEnabled()) {
@@ -1513,32 +5792,69 @@ async function runLoop() {
         log("Running without ADMIN_API_KEY (dev bypass mode)", "warn")
     }
 
+    const runningJobs = new Set()
     while (!shouldStop) {
+        queuePoll.lastTickAt = Date.now()
+        if (!canClaimMoreJobs()) {
+            queuePoll.state = "saturated"
+            await sleepUntilWoken(CONFIG.pollIntervalMs)
+            continue
+        }
         try {
+            queuePoll.state = "claiming"
+            queuePoll.lastClaimAttemptAt = Date.now()
             const job = await claimJob()
             if (!job) {
-                await sleep(CONFIG.pollIntervalMs)
+                metrics.queuePolls.inc({ result: "empty" })
+                queuePoll.state = "idle"
+                await sleepUntilWoken(CONFIG.pollIntervalMs)
                 continue
             }
-            log(`Claimed job ${job.id} (content_item=${job.content_item_id})`)
-            try {
-                await processJob(job)
-            } catch (error) {
-                const message = error instanceof Error ? error.message : String(error)
-                log(`Job ${job.id} failed: ${message}`, "error")
-                await markJobFailed(job.id, message)
-            }
+            metrics.queuePolls.inc({ result: "claimed" })
+            metrics.jobsClaimed.inc()
+            log(`Claimed job ${job.id} (content_item=${job.content_item_id})`, "info", {
+                job_id: job.id,
+                content_item_id: job.content_item_id,
+            })
+            const running = runJob(job)
+                .catch((error) => {
+                    const message = error instanceof Error ? error.message : String(error)
+                    log(`Failed to report outcome of job ${job.id}: ${message}`, "error")
+                })
+                .finally(() => runningJobs.delete(running))
+            runningJobs.add(running)
         } catch (error) {
             const message = error instanceof Error ? error.message : String(error)
             log(`Worker loop error: ${message}`, "error")
-            await sleep(CONFIG.pollIntervalMs)
+            metrics.queuePolls.inc({ result: "error" })
+            queuePoll.state = "backoff"
+            await sleepUntilWoken(CONFIG.pollIntervalMs)
         }
     }
+    queuePoll.state = "stopping"
+    if (runningJobs.size > 0) {
+        log(`Waiting for ${runningJobs.size} in-flight job(s) to finish or be released`)
+        await Promise.all(runningJobs)
+    }
+    clearTimeout(shutdownTimer)
+    stopOutboxReplayer()
+    stopPublishCleanupSweeper()
+    stopHealthServer()
     log("Encoder worker stopped")
 }
 
-runLoop().catch((error) => {
-    const message = error instanceof Error ? error.stack || error.message : String(error)
-    console.error(message)
-    process.exit(1)
-})
+if (process.argv[2] === "gc") {
+    Promise.resolve()
+        .then(() => runGarbageCollection(parseGcArgs(process.argv.slice(3))))
+        .catch((error) => {
+            const message = error instanceof Error ? error.stack || error.message : String(error)
+            log(`Garbage collection failed: ${message}`, "error")
+            process.exit(1)
+        })
+} else {
+    runLoop().catch((error) => {
+        const message = error instanceof Error ? error.stack || error.message : String(error)
+        log(`Encoder worker crashed: ${message}`, "error")
+        process.exit(1)
+    })
+}
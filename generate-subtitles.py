@@ -20,6 +20,12 @@ def parse_args() -> argparse.Namespace:
     parser.add_argument("--device", default="cpu", help="Device to run on (cpu or cuda)")
     parser.add_argument("--compute-type", default="int8", help="Compute type (int8/float16/etc)")
     parser.add_argument("--beam-size", type=int, default=5, help="Beam size used for transcription")
+    parser.add_argument(
+        "--cpu-threads",
+        type=int,
+        default=0,
+        help="CPU threads for inference (0 uses the faster-whisper default)",
+    )
     parser.add_argument(
         "--progress-every-segments",
         type=int,
@@ -94,6 +100,7 @@ def main() -> int:
             args.model,
             device=args.device,
             compute_type=args.compute_type,
+            cpu_threads=max(0, int(args.cpu_threads)),
         )
         segments_iterable, info = model.transcribe(
             args.input,